@@ -0,0 +1,98 @@
+// src/components/AlignedAnimationView.js
+import React, { useEffect, useRef, useState } from 'react';
+import { applyCalibration } from '../utils/solarCalculations';
+import { resolveObserver } from '../utils/ephemeris';
+import { REFERENCE_ROTATION_PROFILES } from '../utils/rotationAnalysis';
+import { renderCoalignedFrame, derotateFrame } from '../utils/derotation';
+
+const referenceIndexFor = (reference, count) => {
+  if (reference === 'first') return 0;
+  if (reference === 'last') return count - 1;
+  return Math.floor((count - 1) / 2);
+};
+
+const hasTime = (entry) => entry && entry.obsTime instanceof Date && !Number.isNaN(entry.obsTime.getTime());
+
+// Animation frame re-centered and re-scaled to a common disk, optionally
+// derotated to the time of a reference frame. Rendered frames are cached per
+// image entry, so any change to an entry (e.g. its calibration) re-renders it.
+const AlignedAnimationView = ({
+  images,
+  sortedFilenames,
+  currentImageIndex,
+  derotate,
+  reference = 'middle',
+  profileIndex = 0,
+  size = 512
+}) => {
+  const canvasRef = useRef(null);
+  const cacheRef = useRef(new WeakMap());
+  const [caption, setCaption] = useState('');
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const name = sortedFilenames[currentImageIndex];
+    const entry = images[name];
+    if (!canvas || !entry || !entry.sunParams) return;
+
+    const referenceName = sortedFilenames[referenceIndexFor(reference, sortedFilenames.length)];
+    const referenceEntry = images[referenceName];
+    const profile = REFERENCE_ROTATION_PROFILES[profileIndex] || REFERENCE_ROTATION_PROFILES[0];
+    const canDerotate = derotate && hasTime(entry) && hasTime(referenceEntry);
+    const key = canDerotate ? `derotated|${size}|${referenceName}|${referenceEntry.obsTime.getTime()}|${profile.name}` : `aligned|${size}`;
+
+    try {
+      let frames = cacheRef.current.get(entry);
+      if (!frames) {
+        frames = new Map();
+        cacheRef.current.set(entry, frames);
+      }
+
+      let frame = frames.get(key);
+      if (!frame) {
+        const aligned = frames.get(`aligned|${size}`) ||
+          renderCoalignedFrame(entry.image, applyCalibration(entry.sunParams, entry.calibration), size);
+        frames.set(`aligned|${size}`, aligned);
+        frame = aligned;
+        if (canDerotate) {
+          frame = derotateFrame(
+            aligned,
+            { obsTime: entry.obsTime, observer: resolveObserver(entry.obsTime, entry.observer) },
+            { obsTime: referenceEntry.obsTime, observer: resolveObserver(referenceEntry.obsTime, referenceEntry.observer) },
+            profile
+          );
+          frames.set(key, frame);
+        }
+      }
+
+      canvas.getContext('2d').drawImage(frame, 0, 0);
+
+      const time = hasTime(entry) ? entry.obsTime.toISOString() : 'unknown time';
+      if (canDerotate) {
+        setCaption(`${time} — derotated to ${referenceEntry.obsTime.toISOString()} (${profile.name})`);
+      } else if (derotate) {
+        setCaption(`${time} — co-aligned only (observation time unknown)`);
+      } else {
+        setCaption(`${time} — co-aligned`);
+      }
+    } catch (error) {
+      console.error('Error rendering aligned frame:', error);
+      setCaption(`Error rendering ${name}`);
+    }
+  }, [images, sortedFilenames, currentImageIndex, derotate, reference, profileIndex, size]);
+
+  return (
+    <div style={{ maxWidth: `${size}px` }}>
+      <canvas
+        ref={canvasRef}
+        width={size}
+        height={size}
+        className="w-full h-auto bg-black"
+        style={{ border: '1px solid #ccc' }}
+      />
+      <p className="text-xs text-gray-600 mt-1">{caption}</p>
+    </div>
+  );
+};
+
+export default AlignedAnimationView;
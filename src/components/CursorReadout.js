@@ -0,0 +1,30 @@
+// src/components/CursorReadout.js
+import React from 'react';
+
+const CursorReadout = ({ info }) => {
+  if (!info) {
+    return (
+      <div className="text-sm text-gray-500">
+        Move the cursor over the image to read coordinates.
+      </div>
+    );
+  }
+
+  return (
+    <div className="text-sm space-y-1 font-mono">
+      <p><strong>Pixel:</strong> x = {info.pixel.x.toFixed(1)}, y = {info.pixel.y.toFixed(1)}</p>
+      <p><strong>Helioprojective:</strong> Tx = {info.thetaX.toFixed(1)}″, Ty = {info.thetaY.toFixed(1)}″</p>
+      {info.onDisk ? (
+        <>
+          <p><strong>Stonyhurst:</strong> Lon = {info.longitude.toFixed(2)}°, Lat = {info.latitude.toFixed(2)}°</p>
+          <p><strong>Carrington:</strong> Lon = {info.carringtonLongitude.toFixed(2)}°, Lat = {info.latitude.toFixed(2)}°</p>
+          <p><strong>μ = cos θ:</strong> {info.mu.toFixed(3)}</p>
+        </>
+      ) : (
+        <p className="text-gray-500">Off disk</p>
+      )}
+    </div>
+  );
+};
+
+export default CursorReadout;
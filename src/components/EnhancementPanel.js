@@ -0,0 +1,113 @@
+// src/components/EnhancementPanel.js
+import React from 'react';
+import { STRETCH_MODES, DEFAULT_ENHANCEMENT } from '../utils/enhancement';
+
+// Display processing of the current image; the stored original is still used for measurement
+const EnhancementPanel = ({ settings, onChange, limbFit, hasDisk }) => {
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  return (
+    <div className="mt-6">
+      <h2 className="font-bold text-lg mb-2">Image Processing</h2>
+
+      <div className="space-y-2 text-sm">
+        <label className="flex items-center">
+          <input
+            type="checkbox"
+            className="mr-2"
+            checked={settings.enabled}
+            onChange={(e) => update({ enabled: e.target.checked })}
+          />
+          Show processed image
+        </label>
+
+        <div className={settings.enabled ? 'space-y-2' : 'space-y-2 opacity-50 pointer-events-none'}>
+          <div className="flex items-center space-x-2">
+            <label className="flex items-center">
+              <input
+                type="checkbox"
+                className="mr-2"
+                checked={settings.limbDarkening}
+                disabled={!hasDisk}
+                onChange={(e) => update({ limbDarkening: e.target.checked })}
+              />
+              Remove limb darkening
+            </label>
+            <select
+              className="px-2 py-1 border border-gray-300 rounded-md"
+              value={settings.limbDegree}
+              disabled={!settings.limbDarkening || !hasDisk}
+              onChange={(e) => update({ limbDegree: parseInt(e.target.value) })}
+              title="Degree of the polynomial in μ"
+            >
+              {[1, 2, 3, 4, 5].map(degree => (
+                <option key={degree} value={degree}>Degree {degree}</option>
+              ))}
+            </select>
+          </div>
+          {!hasDisk && (
+            <p className="text-xs text-gray-500">Limb-darkening removal needs a detected disk.</p>
+          )}
+          {settings.limbDarkening && limbFit && (
+            <p className="text-xs text-gray-600 font-mono">
+              I(μ) = {limbFit.coefficients.map((c, k) => `${c.toPrecision(4)}${k > 0 ? `μ${k > 1 ? `^${k}` : ''}` : ''}`).join(' + ')}
+              <br />
+              rms {(limbFit.rms * 100).toFixed(2)}% of disk center ({limbFit.samples} samples)
+            </p>
+          )}
+
+          <div className="flex items-center space-x-2">
+            <label htmlFor="stretchMode" className="text-gray-700">Stretch:</label>
+            <select
+              id="stretchMode"
+              className="px-2 py-1 border border-gray-300 rounded-md"
+              value={settings.stretch}
+              onChange={(e) => update({ stretch: e.target.value })}
+            >
+              {STRETCH_MODES.map(mode => (
+                <option key={mode.value} value={mode.value}>{mode.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-gray-700">
+              Unsharp mask amount: {settings.unsharpAmount.toFixed(1)}
+            </label>
+            <input
+              type="range"
+              min="0"
+              max="3"
+              step="0.1"
+              className="w-full"
+              value={settings.unsharpAmount}
+              onChange={(e) => update({ unsharpAmount: parseFloat(e.target.value) })}
+            />
+            <label className="block text-gray-700">
+              Unsharp mask radius: {settings.unsharpRadius} px
+            </label>
+            <input
+              type="range"
+              min="1"
+              max="30"
+              step="1"
+              className="w-full"
+              value={settings.unsharpRadius}
+              disabled={settings.unsharpAmount === 0}
+              onChange={(e) => update({ unsharpRadius: parseInt(e.target.value) })}
+            />
+          </div>
+
+          <button
+            className="bg-gray-200 hover:bg-gray-300 text-gray-800 py-1 px-3 rounded"
+            onClick={() => onChange({ ...DEFAULT_ENHANCEMENT, enabled: settings.enabled })}
+          >
+            Reset
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EnhancementPanel;
@@ -5,23 +5,30 @@ const ImageInfoPanel = ({
   originalDimensions,
   displayDimensions,
   obsTime,
+  timeSource,
+  observer,
+  limbFit,
   sunParams,
+  calibratedSunParams,
   adjustedSunParams,
   imageScale,
-  centerXOffset,
-  centerYOffset,
-  radiusCorrection,
-  forceFitsData,
+  calibration,
+  paramsSource,
   currentFilename
 }) => {
-  const isFits = currentFilename && (currentFilename.toLowerCase().endsWith('.fits') || currentFilename.toLowerCase().endsWith('.fit'));
-  const paramSource = (forceFitsData && isFits) ? "FITS Header" : "Detection";
+  const paramSource = paramsSource || "Detection";
 
   return (
     <div>
       <h3 className="text-lg font-semibold mb-3">Image Information</h3>
       
       <div className="space-y-2">
+        {currentFilename && (
+          <p>
+            <strong>File:</strong> {currentFilename}
+          </p>
+        )}
+        
         <p>
           <strong>Original size:</strong> {originalDimensions.width} x {originalDimensions.height}
         </p>
@@ -29,9 +36,17 @@ const ImageInfoPanel = ({
           <strong>Display size:</strong> {displayDimensions.width} x {displayDimensions.height}
         </p>
         
-        {obsTime && (
+        <p>
+          <strong>Observation time:</strong>{' '}
+          {obsTime ? obsTime.toISOString() : <span className="text-yellow-700">Unknown (set it in the timeline)</span>}
+          {obsTime && timeSource && <span className="text-sm text-gray-600 italic"> (from {timeSource})</span>}
+        </p>
+        
+        {observer && (
           <p>
-            <strong>Observation time:</strong> {obsTime.toISOString()}
+            <strong>B0:</strong> {observer.B0.toFixed(2)}°, 
+            <strong> L0:</strong> {observer.L0.toFixed(2)}°, 
+            <strong> P:</strong> {observer.P.toFixed(2)}°
           </p>
         )}
         
@@ -44,6 +59,12 @@ const ImageInfoPanel = ({
           Parameters source: {paramSource}
         </p>
         
+        {(paramSource === "Detection" || paramSource === "Limb Fit") && limbFit && (
+          <p className="text-sm text-gray-600">
+            Limb fit: RMS {limbFit.rms.toFixed(2)} px, {limbFit.inliers}/{limbFit.total} edge points used
+          </p>
+        )}
+        
         {adjustedSunParams.cx && (
           <>
             <p>
@@ -53,8 +74,14 @@ const ImageInfoPanel = ({
             </p>
             
             <p>
-              <strong>Circle adjustments:</strong> Size: {radiusCorrection.toFixed(2)}x, 
-              X-offset: {centerXOffset}px, Y-offset: {centerYOffset}px
+              <strong>Calibration (this image):</strong> Size: {calibration.radiusCorrection.toFixed(3)}x, 
+              X-offset: {calibration.xOffset}px, Y-offset: {calibration.yOffset}px
+            </p>
+            
+            <p>
+              <strong>Calibrated center:</strong> ({calibratedSunParams.cx.toFixed(1)}, {calibratedSunParams.cy.toFixed(1)}) px, 
+              <strong> Radius:</strong> {calibratedSunParams.radius.toFixed(1)} px
+              <span className="text-sm text-gray-600"> (used for coordinates)</span>
             </p>
           </>
         )}
@@ -1,6 +1,13 @@
 // src/components/KonvaComponents.js
-import React, { useRef } from 'react';
-import { Stage, Layer, Image, Rect, Circle } from 'react-konva';
+import React, { useRef, useEffect, useState } from 'react';
+import { Stage, Layer, Image, Rect, Circle, Line, Text, Transformer } from 'react-konva';
+import { GRID_STYLES } from '../utils/heliographicGrid';
+
+// Largest magnification, in screen pixels per original image pixel
+const MAX_PIXEL_ZOOM = 8;
+const WHEEL_ZOOM_STEP = 1.2;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
 
 const KonvaComponents = ({
   image,
@@ -10,62 +17,468 @@ const KonvaComponents = ({
   sunParams,
   currentSelection,
   selectionMode,
-  onStageClick
+  measuredPoint,
+  isDrawing,
+  onStageClick,
+  onStageMouseDown,
+  onStageMouseMove,
+  onStageMouseUp,
+  onStageMouseLeave,
+  onSelectionChange,
+  featureCandidates = [],
+  candidateScale = 1,
+  onCandidateSelect,
+  limbPoints = [],
+  onLimbCircleChange,
+  heliographicGrid = null,
+  imageScale = 1,
+  highlightPoint = null,
+  measurementOverlay = null,
+  processedImage = null
 }) => {
   const imageRef = useRef(null);
+  const selectionRef = useRef(null);
+  const transformerRef = useRef(null);
+  
+  // Circle being dragged by its handles in limb mode, committed on drag end
+  const [dragCircle, setDragCircle] = useState(null);
+  const [edgeAngle, setEdgeAngle] = useState(0);
+  
+  const limbMode = selectionMode === 'limb';
+  const circle = dragCircle || sunParams;
+  
+  // View transform (zoom and pan) on top of the display coordinates used everywhere else
+  const [view, setView] = useState({ scale: 1, x: 0, y: 0 });
+  const panRef = useRef(null);
+  const didPanRef = useRef(false);
+  const maxScale = Math.max(1, MAX_PIXEL_ZOOM * imageScale);
+  // Keeps markers and handles the same size on screen at any zoom
+  const inverseScale = 1 / view.scale;
+  
+  // Keep the image covering the viewport
+  const clampView = ({ scale, x, y }) => {
+    const clampedScale = clamp(scale, 1, maxScale);
+    return {
+      scale: clampedScale,
+      x: clamp(x, width - width * clampedScale, 0),
+      y: clamp(y, height - height * clampedScale, 0)
+    };
+  };
+  
+  // Zoom keeping the given viewport point fixed on screen
+  const zoomAt = (scale, point) => {
+    const imagePoint = { x: (point.x - view.x) / view.scale, y: (point.y - view.y) / view.scale };
+    const newScale = clamp(scale, 1, maxScale);
+    setView(clampView({
+      scale: newScale,
+      x: point.x - imagePoint.x * newScale,
+      y: point.y - imagePoint.y * newScale
+    }));
+  };
+  
+  // Reset the view when the displayed size changes (new image geometry)
+  useEffect(() => {
+    setView({ scale: 1, x: 0, y: 0 });
+  }, [width, height]);
+
+  const showRect = currentSelection && selectionMode === 'rect';
+
+  // Attach the transformer to the selection rectangle once drawing is finished
+  useEffect(() => {
+    if (!transformerRef.current) return;
+    if (showRect && !isDrawing && selectionRef.current) {
+      transformerRef.current.nodes([selectionRef.current]);
+    } else {
+      transformerRef.current.nodes([]);
+    }
+    transformerRef.current.getLayer().batchDraw();
+  }, [showRect, isDrawing, currentSelection]);
+
+  const handleLimbHandleDragEnd = () => {
+    if (dragCircle) onLimbCircleChange(dragCircle);
+    setDragCircle(null);
+  };
+
+  // Report the moved/resized rectangle, folding the transform scale into its size
+  const handleRectChange = () => {
+    const node = selectionRef.current;
+    const scaleX = node.scaleX();
+    const scaleY = node.scaleY();
+    node.scaleX(1);
+    node.scaleY(1);
+    onSelectionChange({
+      x: node.x(),
+      y: node.y(),
+      width: Math.max(2, node.width() * scaleX),
+      height: Math.max(2, node.height() * scaleY)
+    });
+  };
+
+  const handleWheel = (e) => {
+    e.evt.preventDefault();
+    const pointer = e.target.getStage().getPointerPosition();
+    if (!pointer) return;
+    const factor = e.evt.deltaY < 0 ? WHEEL_ZOOM_STEP : 1 / WHEEL_ZOOM_STEP;
+    zoomAt(view.scale * factor, pointer);
+  };
+  
+  // Pan with the middle button, Shift+drag, or a plain drag on the image when zoomed
+  // in point/limb mode (rectangle mode uses plain drags for drawing)
+  const handleMouseDown = (e) => {
+    const { button, shiftKey, clientX, clientY } = e.evt;
+    const onBackground = e.target === e.target.getStage() || e.target.name() === 'sunImage';
+    const wantsPan = button === 1 ||
+      (button === 0 && onBackground && (shiftKey || (selectionMode !== 'rect' && view.scale > 1)));
+    
+    if (wantsPan) {
+      e.evt.preventDefault();
+      panRef.current = { clientX, clientY, x: view.x, y: view.y };
+      didPanRef.current = false;
+      return;
+    }
+    onStageMouseDown(e);
+  };
+  
+  const handleMouseMove = (e) => {
+    if (panRef.current) {
+      const dx = e.evt.clientX - panRef.current.clientX;
+      const dy = e.evt.clientY - panRef.current.clientY;
+      if (Math.abs(dx) + Math.abs(dy) > 3) didPanRef.current = true;
+      setView(clampView({ scale: view.scale, x: panRef.current.x + dx, y: panRef.current.y + dy }));
+    }
+    onStageMouseMove(e);
+  };
+  
+  const handleMouseUp = (e) => {
+    if (panRef.current) {
+      panRef.current = null;
+      return;
+    }
+    onStageMouseUp(e);
+  };
+  
+  // A click that ended a pan is not a selection
+  const handleClick = (e) => {
+    if (didPanRef.current) {
+      didPanRef.current = false;
+      return;
+    }
+    onStageClick(e);
+  };
+  
+  const viewportCenter = { x: width / 2, y: height / 2 };
+  const pixelZoom = view.scale / imageScale;
   
   return (
-    <Stage
-      width={width}
-      height={height}
-      onClick={onStageClick}
-    >
-      <Layer>
-        <Image
-          ref={imageRef}
-          image={image}
-          width={width}
-          height={height}
-        />
-        
-        {/* Draw sun boundary if enabled */}
-        {showSunBoundary && sunParams && (
-          <Circle
-            x={sunParams.cx}
-            y={sunParams.cy}
-            radius={sunParams.radius}
-            stroke="red"
-            strokeWidth={2}
-            listening={false}
+    <div style={{ position: 'relative', width, height }}>
+      <Stage
+        width={width}
+        height={height}
+        scaleX={view.scale}
+        scaleY={view.scale}
+        x={view.x}
+        y={view.y}
+        onWheel={handleWheel}
+        onClick={handleClick}
+        onMouseDown={handleMouseDown}
+        onMouseMove={handleMouseMove}
+        onMouseUp={handleMouseUp}
+        onMouseLeave={(e) => {
+          panRef.current = null;
+          onStageMouseUp(e);
+          if (onStageMouseLeave) onStageMouseLeave(e);
+        }}
+      >
+        <Layer imageSmoothingEnabled={pixelZoom < 2}>
+          <Image
+            ref={imageRef}
+            name="sunImage"
+            image={processedImage || image}
+            width={width}
+            height={height}
           />
-        )}
+
+          {/* Draw sun boundary if enabled (always while fitting the limb) */}
+          {(showSunBoundary || limbMode) && circle && (
+            <Circle
+              x={circle.cx}
+              y={circle.cy}
+              radius={circle.radius}
+              stroke="red"
+              strokeWidth={2}
+              strokeScaleEnabled={false}
+              listening={false}
+            />
+          )}
+        
+          {/* Heliographic grid: parallels, meridians, equator, central meridian and north pole */}
+          {heliographicGrid && (
+            <>
+              {heliographicGrid.lines.map((line, lineIndex) => line.segments.map((points, segmentIndex) => (
+                <Line
+                  key={`${line.kind}-${line.value}-${lineIndex}-${segmentIndex}`}
+                  points={points}
+                  {...GRID_STYLES[line.kind]}
+                  strokeScaleEnabled={false}
+                  listening={false}
+                />
+              )))}
+              <Line
+                points={heliographicGrid.northAxis}
+                stroke="yellow"
+                strokeWidth={2}
+                strokeScaleEnabled={false}
+                listening={false}
+              />
+              <Text
+                x={heliographicGrid.northAxis[2] - 4 * inverseScale}
+                y={heliographicGrid.northAxis[3] - 14 * inverseScale}
+                text="N"
+                fontSize={12 * inverseScale}
+                fontStyle="bold"
+                fill="yellow"
+                listening={false}
+              />
+              {heliographicGrid.northPole.visible && (
+                <Circle
+                  x={heliographicGrid.northPole.x}
+                  y={heliographicGrid.northPole.y}
+                  radius={3 * inverseScale}
+                  fill="yellow"
+                  listening={false}
+                />
+              )}
+            </>
+          )}
         
-        {/* Draw current selection if any */}
-        {currentSelection && (
-          selectionMode === 'rect' ? (
-            <Rect
-              x={currentSelection.x}
-              y={currentSelection.y}
-              width={currentSelection.width}
-              height={currentSelection.height}
-              stroke="#FF00FF"
+          {/* Points clicked on the limb */}
+          {limbMode && limbPoints.map((point, index) => (
+            <Circle
+              key={index}
+              x={point.x}
+              y={point.y}
+              radius={3 * inverseScale}
+              fill="cyan"
+              stroke="black"
+              strokeWidth={1}
+              strokeScaleEnabled={false}
+              listening={false}
+            />
+          ))}
+        
+          {/* Center and edge handles for dragging the fitted circle */}
+          {limbMode && circle && circle.radius > 0 && (
+            <>
+              <Circle
+                x={circle.cx}
+                y={circle.cy}
+                radius={6 * inverseScale}
+                fill="red"
+                stroke="white"
+                strokeWidth={1}
+                strokeScaleEnabled={false}
+                draggable
+                onClick={(e) => { e.cancelBubble = true; }}
+                onDragMove={(e) => setDragCircle({ ...circle, cx: e.target.x(), cy: e.target.y() })}
+                onDragEnd={handleLimbHandleDragEnd}
+              />
+              <Circle
+                x={circle.cx + circle.radius * Math.cos(edgeAngle)}
+                y={circle.cy + circle.radius * Math.sin(edgeAngle)}
+                radius={6 * inverseScale}
+                fill="white"
+                stroke="red"
+                strokeWidth={2}
+                strokeScaleEnabled={false}
+                draggable
+                onClick={(e) => { e.cancelBubble = true; }}
+                onDragMove={(e) => {
+                  const dx = e.target.x() - circle.cx;
+                  const dy = e.target.y() - circle.cy;
+                  setEdgeAngle(Math.atan2(dy, dx));
+                  setDragCircle({ ...circle, radius: Math.max(5, Math.hypot(dx, dy)) });
+                }}
+                onDragEnd={handleLimbHandleDragEnd}
+              />
+            </>
+          )}
+
+          {/* Automatically detected feature candidates (image pixel coordinates) */}
+          {featureCandidates.map((candidate, index) => (
+            <React.Fragment key={candidate.id}>
+              <Rect
+                x={candidate.bbox.x * candidateScale - 2}
+                y={candidate.bbox.y * candidateScale - 2}
+                width={candidate.bbox.width * candidateScale + 4}
+                height={candidate.bbox.height * candidateScale + 4}
+                stroke="yellow"
+                strokeWidth={1}
+                strokeScaleEnabled={false}
+                dash={[4 * inverseScale, 2 * inverseScale]}
+                onClick={(e) => {
+                  e.cancelBubble = true;
+                  onCandidateSelect(candidate);
+                }}
+                onMouseEnter={(e) => { e.target.getStage().container().style.cursor = 'pointer'; }}
+                onMouseLeave={(e) => { e.target.getStage().container().style.cursor = 'default'; }}
+              />
+              <Text
+                x={(candidate.bbox.x + candidate.bbox.width) * candidateScale + 3}
+                y={candidate.bbox.y * candidateScale - 12 * inverseScale}
+                text={String(index + 1)}
+                fontSize={11 * inverseScale}
+                fill="yellow"
+                listening={false}
+              />
+            </React.Fragment>
+          ))}
+
+          {/* Labelled features from other frames, rotated to this frame's time */}
+          {measurementOverlay && measurementOverlay.ghosts.map(ghost => (
+            <Circle
+              key={`ghost-${ghost.id}`}
+              x={ghost.x}
+              y={ghost.y}
+              radius={5 * inverseScale}
+              stroke={ghost.color}
+              strokeWidth={1}
+              strokeScaleEnabled={false}
+              dash={[3 * inverseScale, 3 * inverseScale]}
+              opacity={0.7}
+              listening={false}
+            />
+          ))}
+
+          {/* Measurements recorded on this image */}
+          {measurementOverlay && measurementOverlay.markers.map(marker => (
+            <React.Fragment key={`marker-${marker.id}`}>
+              <Circle
+                x={marker.x}
+                y={marker.y}
+                radius={4 * inverseScale}
+                stroke={marker.color}
+                strokeWidth={2}
+                strokeScaleEnabled={false}
+                listening={false}
+              />
+              {marker.label && (
+                <Text
+                  x={marker.x + 6 * inverseScale}
+                  y={marker.y - 14 * inverseScale}
+                  text={marker.label}
+                  fontSize={11 * inverseScale}
+                  fill={marker.color}
+                  shadowColor="black"
+                  shadowBlur={2}
+                  listening={false}
+                />
+              )}
+            </React.Fragment>
+          ))}
+
+          {/* Draw current selection if any */}
+          {currentSelection && (
+            showRect ? (
+              <Rect
+                ref={selectionRef}
+                name="selectionRect"
+                x={currentSelection.x}
+                y={currentSelection.y}
+                width={currentSelection.width}
+                height={currentSelection.height}
+                stroke="#FF00FF"
+                strokeWidth={2}
+                strokeScaleEnabled={false}
+                fill="rgba(255,0,255,0.3)"
+                draggable={!isDrawing}
+                listening={!isDrawing}
+                onDragEnd={handleRectChange}
+                onTransformEnd={handleRectChange}
+              />
+            ) : (
+              <Circle
+                x={currentSelection.x}
+                y={currentSelection.y}
+                radius={5 * inverseScale}
+                fill="#FF00FF"
+                listening={false}
+              />
+            )
+          )}
+
+          {/* Recorded measurement picked in the table */}
+          {highlightPoint && (
+            <Circle
+              x={highlightPoint.x}
+              y={highlightPoint.y}
+              radius={9 * inverseScale}
+              stroke="lime"
               strokeWidth={2}
-              fill="rgba(255,0,255,0.3)"
+              strokeScaleEnabled={false}
               listening={false}
             />
-          ) : (
+          )}
+          
+          {/* Position actually measured inside the rectangle */}
+          {showRect && measuredPoint && !isDrawing && (
             <Circle
-              x={currentSelection.x}
-              y={currentSelection.y}
-              radius={5}
-              fill="#FF00FF"
+              x={measuredPoint.x}
+              y={measuredPoint.y}
+              radius={3 * inverseScale}
+              fill="yellow"
+              stroke="black"
+              strokeWidth={1}
+              strokeScaleEnabled={false}
               listening={false}
             />
-          )
-        )}
-      </Layer>
-    </Stage>
+          )}
+
+          <Transformer
+            ref={transformerRef}
+            rotateEnabled={false}
+            keepRatio={false}
+            ignoreStroke={true}
+            boundBoxFunc={(oldBox, newBox) => (newBox.width < 4 || newBox.height < 4 ? oldBox : newBox)}
+          />
+        </Layer>
+      </Stage>
+    
+      {/* Zoom controls */}
+      <div className="absolute top-2 right-2 flex items-center space-x-1 bg-white bg-opacity-80 rounded shadow px-1 py-1 text-xs">
+        <button
+          className="px-2 py-0.5 bg-gray-200 hover:bg-gray-300 rounded"
+          onClick={() => zoomAt(view.scale / WHEEL_ZOOM_STEP, viewportCenter)}
+          title="Zoom out"
+        >
+          −
+        </button>
+        <span className="w-12 text-center" title="Screen pixels per image pixel">
+          {(pixelZoom * 100).toFixed(0)}%
+        </span>
+        <button
+          className="px-2 py-0.5 bg-gray-200 hover:bg-gray-300 rounded"
+          onClick={() => zoomAt(view.scale * WHEEL_ZOOM_STEP, viewportCenter)}
+          title="Zoom in"
+        >
+          +
+        </button>
+        <button
+          className="px-2 py-0.5 bg-gray-200 hover:bg-gray-300 rounded"
+          onClick={() => setView({ scale: 1, x: 0, y: 0 })}
+          title="Fit the whole image"
+        >
+          Fit
+        </button>
+        <button
+          className="px-2 py-0.5 bg-gray-200 hover:bg-gray-300 rounded"
+          onClick={() => zoomAt(1 / imageScale, viewportCenter)}
+          title="One screen pixel per image pixel"
+        >
+          1:1
+        </button>
+      </div>
+    </div>
   );
 };
 
-export default KonvaComponents;
\ No newline at end of file
+export default KonvaComponents;
@@ -1,16 +1,46 @@
 // src/components/MeasurementsPanel.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import dynamic from 'next/dynamic';
+import { getLongitude, applyCalibration } from '../utils/solarCalculations';
+import { linearFit, unwrapLongitudes } from '../utils/rotationAnalysis';
+import {
+  readMeasurementsFile,
+  validateMeasurementColumns,
+  rowsToMeasurements,
+  combineMeasurements,
+  measurementsToCSV
+} from '../utils/measurementsIO';
+import RotationAnalysis from './RotationAnalysis';
 
 // Dynamically import Plotly to avoid SSR issues
 const Plot = dynamic(() => import('react-plotly.js'), { ssr: false });
 
-const MeasurementsPanel = ({ measurements, setMeasurements }) => {
+const MeasurementsPanel = ({
+  measurements,
+  setMeasurements,
+  images = {},
+  coordinateSystem,
+  onTrackFeature,
+  onJumpToMeasurement,
+  highlightedMeasurementId,
+  onUndo,
+  onRedo,
+  canUndo,
+  canRedo
+}) => {
   const [filteredMeasurements, setFilteredMeasurements] = useState([]);
   const [selectedLabel, setSelectedLabel] = useState('All');
   const [uniqueLabels, setUniqueLabels] = useState([]);
   const [showPlot, setShowPlot] = useState(false);
   const [plotData, setPlotData] = useState(null);
+  const [trackSummary, setTrackSummary] = useState(null);
+  const [importMode, setImportMode] = useState('merge');
+  const [keepUnmatched, setKeepUnmatched] = useState(true);
+  const [importReport, setImportReport] = useState(null);
+  const importInputRef = useRef(null);
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const [editingId, setEditingId] = useState(null);
+  const [editingLabel, setEditingLabel] = useState('');
 
   useEffect(() => {
     if (measurements.length > 0) {
@@ -38,7 +68,16 @@ const MeasurementsPanel = ({ measurements, setMeasurements }) => {
       setUniqueLabels([]);
       setShowPlot(false);
     }
-  }, [measurements, selectedLabel]);
+  }, [measurements, selectedLabel, coordinateSystem]);
+
+  // Drop selections of rows that no longer exist (deleted, undone or replaced)
+  useEffect(() => {
+    setSelectedIds(prev => {
+      const ids = new Set(measurements.map(m => m.id));
+      const kept = [...prev].filter(id => ids.has(id));
+      return kept.length === prev.size ? prev : new Set(kept);
+    });
+  }, [measurements]);
 
   const prepareRotationAnalysisData = (data) => {
     try {
@@ -54,13 +93,18 @@ const MeasurementsPanel = ({ measurements, setMeasurements }) => {
         return (time - firstTime) / (1000 * 60 * 60); // Convert to hours
       });
       
-      // Extract longitudes
-      const longitudes = sortedData.map(m => m.helioLongitude);
+      // Extract longitudes, unwrapping jumps across 0/360 (or ±180)
+      const longitudes = unwrapLongitudes(sortedData.map(m => getLongitude(m, coordinateSystem)));
+      
+      // Straight-line fit of longitude vs time; slope converted to deg/day
+      const fit = linearFit(hours, longitudes);
       
       setPlotData({
         hours,
         longitudes,
-        label: selectedLabel
+        fit,
+        label: selectedLabel,
+        system: coordinateSystem === 'carrington' ? 'Carrington' : 'Stonyhurst'
       });
     } catch (error) {
       console.error('Error preparing rotation analysis data:', error);
@@ -68,39 +112,250 @@ const MeasurementsPanel = ({ measurements, setMeasurements }) => {
     }
   };
 
-  const downloadCSV = () => {
-    if (filteredMeasurements.length === 0) return;
-    
-    // Create CSV header
-    const headers = Object.keys(filteredMeasurements[0]);
-    const csvRows = [headers.join(',')];
-    
-    // Add data rows
-    for (const row of filteredMeasurements) {
-      const values = headers.map(header => {
-        const value = row[header];
-        return typeof value === 'string' ? `"${value}"` : value;
-      });
-      csvRows.push(values.join(','));
-    }
-    
-    // Create and download the file
-    const csvString = csvRows.join('\n');
-    const blob = new Blob([csvString], { type: 'text/csv' });
+  // Run automatic tracking for the selected label and summarize the result
+  const handleTrack = (direction) => {
+    const report = onTrackFeature(selectedLabel, direction);
+    const added = report.filter(r => !r.reason).length;
+    const flagged = report.filter(r => r.flagged && !r.reason).length;
+    const stopped = report.find(r => r.reason);
+    setTrackSummary(
+      `${direction === 'forward' ? 'Forward' : 'Backward'}: ${added} frame(s) added, ${flagged} flagged for review` +
+      (stopped ? ` (${stopped.reason.toLowerCase()} at ${stopped.image})` : '')
+    );
+  };
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const allFilteredSelected = filteredMeasurements.length > 0 &&
+    filteredMeasurements.every(m => selectedIds.has(m.id));
+
+  const toggleSelectAll = () => {
+    setSelectedIds(allFilteredSelected ? new Set() : new Set(filteredMeasurements.map(m => m.id)));
+  };
+
+  const deleteSelected = () => {
+    if (selectedIds.size === 0) return;
+    setMeasurements(prev => prev.filter(m => !selectedIds.has(m.id)));
+    setSelectedIds(new Set());
+  };
+
+  const startEditingLabel = (measurement) => {
+    setEditingId(measurement.id);
+    setEditingLabel(measurement.label || '');
+  };
+
+  const commitLabel = () => {
+    const id = editingId;
+    const label = editingLabel.trim();
+    setEditingId(null);
+    setMeasurements(prev => {
+      const target = prev.find(m => m.id === id);
+      if (!target || target.label === label) return prev;
+      return prev.map(m => (m.id === id ? { ...m, label } : m));
+    });
+  };
+
+  const downloadFile = (content, type, filename) => {
+    const blob = new Blob([content], { type });
     const url = URL.createObjectURL(blob);
     const link = document.createElement('a');
     link.setAttribute('href', url);
-    link.setAttribute('download', 'solar_measurements.csv');
+    link.setAttribute('download', filename);
     link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const downloadCSV = () => {
+    if (filteredMeasurements.length === 0) return;
+    downloadFile(measurementsToCSV(filteredMeasurements), 'text/csv', 'solar_measurements.csv');
+  };
+
+  const downloadJSON = () => {
+    if (filteredMeasurements.length === 0) return;
+    downloadFile(
+      JSON.stringify({ measurements: filteredMeasurements }, null, 2),
+      'application/json',
+      'solar_measurements.json'
+    );
+  };
+
+  // Read a CSV/JSON export back in, merging with or replacing the current measurements
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const { rows, columns } = await readMeasurementsFile(file);
+      const missingColumns = validateMeasurementColumns(columns);
+      if (missingColumns.length > 0) {
+        setImportReport({ error: `Missing column(s): ${missingColumns.join(', ')}` });
+        return;
+      }
+
+      const observerOverrides = Object.fromEntries(
+        Object.entries(images).map(([name, entry]) => [name, entry.observer])
+      );
+      const sunParamsByImage = Object.fromEntries(
+        Object.entries(images)
+          .filter(([, entry]) => entry.sunParams)
+          .map(([name, entry]) => [name, applyCalibration(entry.sunParams, entry.calibration)])
+      );
+      const { measurements: imported, rejected, unmatched, warnings } = rowsToMeasurements(rows, {
+        imageNames: Object.keys(images),
+        observerOverrides,
+        sunParamsByImage,
+        keepUnmatched
+      });
+      const combined = combineMeasurements(measurements, imported, importMode);
+
+      setMeasurements(combined.measurements);
+      setImportReport({
+        file: file.name,
+        added: combined.added,
+        duplicates: combined.duplicates,
+        rejected,
+        unmatched,
+        warnings
+      });
+      console.log('Imported measurements:', combined.added, 'rejected:', rejected, 'unmatched:', unmatched);
+    } catch (error) {
+      console.error('Error importing measurements:', error);
+      setImportReport({ error: error.message });
+    }
   };
 
   return (
     <div>
       <h3 className="text-lg font-semibold mb-2">Recorded Measurements</h3>
       
+      <div className="mb-3">
+        <div className="flex flex-wrap gap-1">
+          <button
+            className="bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm py-1 px-2 rounded disabled:opacity-50"
+            onClick={downloadCSV}
+            disabled={filteredMeasurements.length === 0}
+          >
+            Export CSV
+          </button>
+          <button
+            className="bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm py-1 px-2 rounded disabled:opacity-50"
+            onClick={downloadJSON}
+            disabled={filteredMeasurements.length === 0}
+          >
+            Export JSON
+          </button>
+          <button
+            className="bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm py-1 px-2 rounded"
+            onClick={() => importInputRef.current.click()}
+          >
+            Import…
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".csv,.json,text/csv,application/json"
+            className="hidden"
+            onChange={handleImport}
+          />
+          {onUndo && (
+            <>
+              <button
+                className="bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm py-1 px-2 rounded disabled:opacity-50"
+                onClick={onUndo}
+                disabled={!canUndo}
+                title="Undo (Ctrl+Z)"
+              >
+                ↶ Undo
+              </button>
+              <button
+                className="bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm py-1 px-2 rounded disabled:opacity-50"
+                onClick={onRedo}
+                disabled={!canRedo}
+                title="Redo (Ctrl+Shift+Z)"
+              >
+                ↷ Redo
+              </button>
+            </>
+          )}
+        </div>
+        <div className="flex items-center space-x-3 mt-1 text-xs text-gray-700">
+          <label className="flex items-center">
+            <input
+              type="radio"
+              name="importMode"
+              value="merge"
+              checked={importMode === 'merge'}
+              onChange={() => setImportMode('merge')}
+              className="mr-1"
+            />
+            Merge
+          </label>
+          <label className="flex items-center">
+            <input
+              type="radio"
+              name="importMode"
+              value="replace"
+              checked={importMode === 'replace'}
+              onChange={() => setImportMode('replace')}
+              className="mr-1"
+            />
+            Replace
+          </label>
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              checked={keepUnmatched}
+              onChange={(e) => setKeepUnmatched(e.target.checked)}
+              className="mr-1"
+            />
+            Keep rows for images not loaded
+          </label>
+        </div>
+        
+        {importReport && (
+          importReport.error ? (
+            <p className="mt-2 p-2 text-xs rounded bg-red-100 text-red-700">Import failed: {importReport.error}</p>
+          ) : (
+            <div className="mt-2 p-2 text-xs rounded bg-blue-100 text-blue-700">
+              <p>
+                {importReport.file}: {importReport.added} measurement(s) imported
+                {importReport.duplicates > 0 && `, ${importReport.duplicates} duplicate(s) skipped`}
+                {importReport.rejected.length > 0 && `, ${importReport.rejected.length} row(s) rejected`}
+              </p>
+              {importReport.warnings.map(warning => (
+                <p key={warning} className="mt-1">Warning: {warning}</p>
+              ))}
+              {importReport.unmatched.length > 0 && (
+                <p className="mt-1">
+                  No loaded image for: {[...new Set(importReport.unmatched.map(r => r.image))].join(', ')}
+                </p>
+              )}
+              {importReport.rejected.length > 0 && (
+                <ul className="mt-1 list-disc list-inside max-h-24 overflow-y-auto">
+                  {importReport.rejected.map(r => (
+                    <li key={r.line}>Line {r.line} ({r.image || 'no image'}): {r.reason}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )
+        )}
+      </div>
+      
       {measurements.length > 0 ? (
         <>
-          {uniqueLabels.length > 1 && (
+          {uniqueLabels.length > 0 && (
             <div className="mb-3">
               <label className="block text-sm font-medium text-gray-700 mb-1">
                 Filter by label:
@@ -118,23 +373,87 @@ const MeasurementsPanel = ({ measurements, setMeasurements }) => {
             </div>
           )}
           
+          <div className="flex items-center justify-between mb-1 text-xs text-gray-600">
+            <span>Click an image name to show it; double-click a label to edit.</span>
+            <button
+              className="bg-red-100 hover:bg-red-200 text-red-700 py-1 px-2 rounded disabled:opacity-50"
+              onClick={deleteSelected}
+              disabled={selectedIds.size === 0}
+            >
+              Delete selected ({selectedIds.size})
+            </button>
+          </div>
+          
           <div className="border rounded-md overflow-hidden mb-3">
             <div className="max-h-64 overflow-y-auto">
               <table className="min-w-full divide-y divide-gray-200">
                 <thead className="bg-gray-50 sticky top-0">
                   <tr>
+                    <th className="px-2 py-2 text-left">
+                      <input
+                        type="checkbox"
+                        checked={allFilteredSelected}
+                        onChange={toggleSelectAll}
+                        title="Select all"
+                      />
+                    </th>
                     <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Image</th>
                     <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Label</th>
-                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Lon (°)</th>
+                    <th className={`px-3 py-2 text-left text-xs font-medium uppercase tracking-wider ${coordinateSystem === 'stonyhurst' ? 'text-gray-900' : 'text-gray-500'}`}>Stony Lon (°)</th>
+                    <th className={`px-3 py-2 text-left text-xs font-medium uppercase tracking-wider ${coordinateSystem === 'carrington' ? 'text-gray-900' : 'text-gray-500'}`}>Carr Lon (°)</th>
                     <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Lat (°)</th>
                   </tr>
                 </thead>
                 <tbody className="bg-white divide-y divide-gray-200">
                   {filteredMeasurements.map((measurement, index) => (
-                    <tr key={index} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
-                      <td className="px-3 py-2 whitespace-nowrap text-xs">{measurement.image.substring(0, 15)}</td>
-                      <td className="px-3 py-2 whitespace-nowrap text-xs">{measurement.label || '-'}</td>
-                      <td className="px-3 py-2 whitespace-nowrap text-xs">{measurement.helioLongitude.toFixed(2)}</td>
+                    <tr
+                      key={measurement.id}
+                      className={
+                        measurement.id === highlightedMeasurementId ? 'bg-green-100' :
+                        measurement.flagged ? 'bg-yellow-100' :
+                        (index % 2 === 0 ? 'bg-white' : 'bg-gray-50')
+                      }
+                      title={measurement.flagged ? `Low-confidence track match (${(measurement.trackConfidence * 100).toFixed(0)}%)` : undefined}
+                    >
+                      <td className="px-2 py-2">
+                        <input
+                          type="checkbox"
+                          checked={selectedIds.has(measurement.id)}
+                          onChange={() => toggleSelected(measurement.id)}
+                        />
+                      </td>
+                      <td className="px-3 py-2 whitespace-nowrap text-xs">
+                        <button
+                          className="text-blue-600 hover:underline"
+                          onClick={() => onJumpToMeasurement && onJumpToMeasurement(measurement)}
+                          title={`Show ${measurement.image}`}
+                        >
+                          {measurement.image.substring(0, 15)}
+                        </button>
+                      </td>
+                      <td
+                        className="px-3 py-2 whitespace-nowrap text-xs"
+                        onDoubleClick={() => startEditingLabel(measurement)}
+                      >
+                        {editingId === measurement.id ? (
+                          <input
+                            type="text"
+                            className="w-24 px-1 border border-blue-400 rounded"
+                            value={editingLabel}
+                            autoFocus
+                            onChange={(e) => setEditingLabel(e.target.value)}
+                            onBlur={commitLabel}
+                            onKeyDown={(e) => {
+                              if (e.key === 'Enter') commitLabel();
+                              if (e.key === 'Escape') setEditingId(null);
+                            }}
+                          />
+                        ) : (
+                          <>{measurement.flagged ? '⚠ ' : ''}{measurement.label || '-'}</>
+                        )}
+                      </td>
+                      <td className="px-3 py-2 whitespace-nowrap text-xs">{measurement.stonyhurstLongitude.toFixed(2)}</td>
+                      <td className="px-3 py-2 whitespace-nowrap text-xs">{measurement.carringtonLongitude.toFixed(2)}</td>
                       <td className="px-3 py-2 whitespace-nowrap text-xs">{measurement.helioLatitude.toFixed(2)}</td>
                     </tr>
                   ))}
@@ -144,6 +463,28 @@ const MeasurementsPanel = ({ measurements, setMeasurements }) => {
           </div>
           
           
+          {selectedLabel !== 'All' && onTrackFeature && (
+            <div className="mb-3">
+              <div className="flex space-x-2">
+                <button
+                  className="flex-1 bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm font-bold py-1 rounded"
+                  onClick={() => handleTrack('backward')}
+                >
+                  ◀ Track backward
+                </button>
+                <button
+                  className="flex-1 bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm font-bold py-1 rounded"
+                  onClick={() => handleTrack('forward')}
+                >
+                  Track forward ▶
+                </button>
+              </div>
+              {trackSummary && (
+                <p className="text-xs text-gray-600 mt-1">{trackSummary}</p>
+              )}
+            </div>
+          )}
+          
           {showPlot && plotData && (
             <div className="mt-4">
               <h3 className="text-lg font-semibold mb-2">Simple Rotation Analysis</h3>
@@ -156,21 +497,45 @@ const MeasurementsPanel = ({ measurements, setMeasurements }) => {
                       type: 'scatter',
                       mode: 'markers',
                       marker: { color: 'magenta' },
+                      name: 'Measurements',
                     },
+                    ...(plotData.fit ? [{
+                      x: [plotData.hours[0], plotData.hours[plotData.hours.length - 1]],
+                      y: [plotData.hours[0], plotData.hours[plotData.hours.length - 1]].map(
+                        h => plotData.fit.intercept + plotData.fit.slope * h
+                      ),
+                      type: 'scatter',
+                      mode: 'lines',
+                      line: { color: 'blue' },
+                      name: 'Fit',
+                    }] : []),
                   ]}
                   layout={{
                     title: `Longitude changes: ${plotData.label}`,
                     xaxis: { title: 'Hours since first measurement' },
-                    yaxis: { title: 'Helio Longitude (°)' },
+                    yaxis: { title: `${plotData.system} Longitude (°)` },
                     height: 300,
                     margin: { l: 50, r: 30, t: 40, b: 50 },
+                    showlegend: false,
                   }}
                   config={{ responsive: true }}
                   style={{ width: '100%' }}
                 />
               </div>
+              {plotData.fit && (
+                <p className="text-sm mt-2">
+                  <strong>Drift rate:</strong> {(plotData.fit.slope * 24).toFixed(3)}
+                  {plotData.fit.slopeError !== null && ` ± ${(plotData.fit.slopeError * 24).toFixed(3)}`} °/day
+                  ({plotData.system})
+                </p>
+              )}
             </div>
           )}
+          
+          <div className="mt-4">
+            <h3 className="text-lg font-semibold mb-2">Differential Rotation</h3>
+            <RotationAnalysis measurements={measurements} />
+          </div>
         </>
       ) : (
         <p className="text-gray-500">No measurements recorded yet.</p>
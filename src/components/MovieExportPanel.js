@@ -0,0 +1,165 @@
+// src/components/MovieExportPanel.js
+import React, { useRef, useState } from 'react';
+import { exportFrameSize, exportGif, exportWebM, canExportWebM } from '../utils/movieExport';
+
+const MovieExportPanel = ({
+  images,
+  sortedFilenames,
+  measurements,
+  animationSpeed,
+  coordinateSystem,
+  gridSpacing,
+  showSunBoundary,
+  showGrid,
+  showMeasurementMarkers
+}) => {
+  const [format, setFormat] = useState('gif');
+  const [maxWidth, setMaxWidth] = useState(512);
+  const [overlays, setOverlays] = useState({
+    showLimb: showSunBoundary,
+    showGrid,
+    showMarkers: showMeasurementMarkers,
+    showTimestamp: true
+  });
+  const [progress, setProgress] = useState(null);
+  const [status, setStatus] = useState('');
+  const abortRef = useRef(null);
+
+  const webmSupported = typeof window !== 'undefined' && canExportWebM();
+
+  const toggleOverlay = (key) => setOverlays(prev => ({ ...prev, [key]: !prev[key] }));
+
+  const handleExport = async () => {
+    if (sortedFilenames.length === 0) return;
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setStatus('');
+    setProgress({ done: 0, total: sortedFilenames.length });
+
+    try {
+      const params = {
+        images,
+        sortedFilenames,
+        delayMs: animationSpeed,
+        options: {
+          ...exportFrameSize(images, sortedFilenames, maxWidth),
+          ...overlays,
+          gridSpacing,
+          coordinateSystem,
+          measurements
+        },
+        onProgress: (done, total) => setProgress({ done, total }),
+        signal: controller.signal
+      };
+      const blob = format === 'webm' ? await exportWebM(params) : await exportGif(params);
+
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.setAttribute('href', url);
+      link.setAttribute('download', `solar_sequence.${format}`);
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+      setStatus(`Exported ${sortedFilenames.length} frame(s) (${(blob.size / 1e6).toFixed(1)} MB)`);
+    } catch (error) {
+      if (error.cancelled) {
+        setStatus('Export cancelled');
+      } else {
+        console.error('Error exporting movie:', error);
+        setStatus(`Export failed: ${error.message}`);
+      }
+    } finally {
+      abortRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  return (
+    <div className="mt-6">
+      <h2 className="font-bold text-lg mb-2">Export Movie</h2>
+
+      <div className="space-y-2 text-sm">
+        <div className="flex items-center space-x-2">
+          <label htmlFor="movieFormat" className="text-gray-700">Format:</label>
+          <select
+            id="movieFormat"
+            className="px-2 py-1 border border-gray-300 rounded-md"
+            value={format}
+            onChange={(e) => setFormat(e.target.value)}
+          >
+            <option value="gif">Animated GIF</option>
+            <option value="webm" disabled={!webmSupported}>WebM video{webmSupported ? '' : ' (not supported)'}</option>
+          </select>
+          <select
+            className="px-2 py-1 border border-gray-300 rounded-md"
+            value={maxWidth}
+            onChange={(e) => setMaxWidth(parseInt(e.target.value))}
+            title="Maximum frame width"
+          >
+            <option value={256}>256 px</option>
+            <option value={512}>512 px</option>
+            <option value={800}>800 px</option>
+            <option value={1024}>1024 px</option>
+          </select>
+        </div>
+
+        <div className="grid grid-cols-2 gap-1">
+          {[
+            ['showLimb', 'Limb circle'],
+            ['showGrid', 'Grid'],
+            ['showMarkers', 'Measurements'],
+            ['showTimestamp', 'Timestamp']
+          ].map(([key, label]) => (
+            <label key={key} className="flex items-center">
+              <input
+                type="checkbox"
+                className="mr-2"
+                checked={overlays[key]}
+                onChange={() => toggleOverlay(key)}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+
+        <p className="text-xs text-gray-500">
+          {sortedFilenames.length} frame(s) at {animationSpeed} ms per frame
+          {format === 'webm' && ' (recorded in real time)'}.
+        </p>
+
+        {progress ? (
+          <div>
+            <div className="w-full bg-gray-200 rounded h-2 overflow-hidden">
+              <div
+                className="bg-blue-500 h-2"
+                style={{ width: `${(progress.done / progress.total) * 100}%` }}
+              />
+            </div>
+            <div className="flex items-center justify-between mt-1 text-xs text-gray-600">
+              <span>Frame {progress.done}/{progress.total}</span>
+              <button
+                className="bg-red-100 hover:bg-red-200 text-red-700 py-1 px-2 rounded"
+                onClick={() => abortRef.current && abortRef.current.abort()}
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        ) : (
+          <button
+            className="w-full bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 rounded disabled:opacity-50"
+            onClick={handleExport}
+            disabled={sortedFilenames.length === 0}
+          >
+            Export {format === 'webm' ? 'WebM' : 'GIF'}
+          </button>
+        )}
+
+        {status && <p className="text-xs text-gray-700">{status}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default MovieExportPanel;
@@ -0,0 +1,72 @@
+// src/components/ObservationTimeDialog.js
+import React, { useState } from 'react';
+
+// datetime-local value (read as UTC) <-> Date
+const toInputValue = (date) => (
+  date instanceof Date && !Number.isNaN(date.getTime()) ? date.toISOString().slice(0, 19) : ''
+);
+const fromInputValue = (value) => {
+  if (!value) return null;
+  const date = new Date(`${value.length === 16 ? `${value}:00` : value}Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const ObservationTimeDialog = ({ names, images, onApply, onClose }) => {
+  const [initialValues] = useState(() => Object.fromEntries(
+    names.map(name => [name, toInputValue(images[name] && images[name].obsTime)])
+  ));
+  const [values, setValues] = useState(initialValues);
+
+  // Only times that were entered or changed
+  const parsed = Object.fromEntries(
+    Object.entries(values)
+      .filter(([name, value]) => value !== initialValues[name])
+      .map(([name, value]) => [name, fromInputValue(value)])
+      .filter(([, date]) => date)
+  );
+  const count = Object.keys(parsed).length;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50">
+      <div className="bg-white rounded-md shadow-lg p-4 w-full max-w-lg">
+        <h3 className="text-lg font-semibold mb-1">Observation Time</h3>
+        <p className="text-sm text-gray-600 mb-3">
+          Enter the capture time in UTC. Measurements on these images are recalculated for the new time.
+        </p>
+
+        <div className="max-h-80 overflow-y-auto space-y-2">
+          {names.map(name => (
+            <div key={name} className="flex items-center space-x-2">
+              <span className="flex-1 text-sm truncate" title={name}>{name}</span>
+              <input
+                type="datetime-local"
+                step="1"
+                className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                value={values[name]}
+                onChange={(e) => setValues(prev => ({ ...prev, [name]: e.target.value }))}
+              />
+            </div>
+          ))}
+        </div>
+
+        <div className="flex justify-end space-x-2 mt-4">
+          <button
+            className="bg-gray-200 hover:bg-gray-300 text-gray-800 py-1 px-3 rounded"
+            onClick={onClose}
+          >
+            Cancel
+          </button>
+          <button
+            className="bg-blue-500 hover:bg-blue-700 text-white py-1 px-3 rounded disabled:opacity-50"
+            onClick={() => onApply(parsed)}
+            disabled={count === 0}
+          >
+            Apply ({count})
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ObservationTimeDialog;
@@ -0,0 +1,135 @@
+// src/components/RotationAnalysis.js
+import React, { useMemo } from 'react';
+import dynamic from 'next/dynamic';
+import {
+  analyzeRotation,
+  rotationRate,
+  REFERENCE_ROTATION_PROFILES
+} from '../utils/rotationAnalysis';
+
+// Dynamically import Plotly to avoid SSR issues
+const Plot = dynamic(() => import('react-plotly.js'), { ssr: false });
+
+const formatRate = (value, error) => {
+  if (error === null || error === undefined) return value.toFixed(3);
+  return `${value.toFixed(3)} ± ${error.toFixed(3)}`;
+};
+
+const RotationAnalysis = ({ measurements }) => {
+  const { features, profile } = useMemo(() => analyzeRotation(measurements), [measurements]);
+
+  if (features.length === 0) {
+    return (
+      <p className="text-sm text-gray-500">
+        Label a feature and measure it in at least two images to fit its rotation rate.
+      </p>
+    );
+  }
+
+  // Curves over the latitude range of interest
+  const curveLatitudes = [];
+  for (let lat = -60; lat <= 60; lat += 1) curveLatitudes.push(lat);
+
+  const plotData = [
+    {
+      x: features.map(f => f.meanLatitude),
+      y: features.map(f => f.siderealRate),
+      error_y: {
+        type: 'data',
+        array: features.map(f => f.rateError || 0),
+        visible: true
+      },
+      text: features.map(f => f.label),
+      type: 'scatter',
+      mode: 'markers',
+      marker: { color: 'magenta', size: 8 },
+      name: 'Features'
+    },
+    ...REFERENCE_ROTATION_PROFILES.map((reference, i) => ({
+      x: curveLatitudes,
+      y: curveLatitudes.map(lat => rotationRate(lat, reference)),
+      type: 'scatter',
+      mode: 'lines',
+      line: { dash: i === 0 ? 'dash' : 'dot', color: i === 0 ? 'gray' : 'orange' },
+      name: reference.name
+    }))
+  ];
+
+  if (profile) {
+    plotData.push({
+      x: curveLatitudes,
+      y: curveLatitudes.map(lat => rotationRate(lat, profile)),
+      type: 'scatter',
+      mode: 'lines',
+      line: { color: 'blue' },
+      name: 'Fit'
+    });
+  }
+
+  return (
+    <div>
+      <div className="border rounded-md overflow-hidden mb-3">
+        <div className="max-h-48 overflow-y-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50 sticky top-0">
+              <tr>
+                <th className="px-2 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Label</th>
+                <th className="px-2 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">N</th>
+                <th className="px-2 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Span (d)</th>
+                <th className="px-2 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Lat (°)</th>
+                <th className="px-2 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ω sid (°/d)</th>
+                <th className="px-2 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ω syn (°/d)</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {features.map((feature, index) => (
+                <tr key={feature.label} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                  <td className="px-2 py-2 whitespace-nowrap text-xs">{feature.label}</td>
+                  <td className="px-2 py-2 whitespace-nowrap text-xs">{feature.count}</td>
+                  <td className="px-2 py-2 whitespace-nowrap text-xs">{feature.spanDays.toFixed(2)}</td>
+                  <td className="px-2 py-2 whitespace-nowrap text-xs">{feature.meanLatitude.toFixed(1)}</td>
+                  <td className="px-2 py-2 whitespace-nowrap text-xs">{formatRate(feature.siderealRate, feature.rateError)}</td>
+                  <td className="px-2 py-2 whitespace-nowrap text-xs">{formatRate(feature.synodicRate, feature.rateError)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {profile ? (
+        <p className="text-sm mb-2">
+          <strong>ω(φ) = A + B sin²φ + C sin⁴φ:</strong>{' '}
+          A = {formatRate(profile.A, profile.errors && profile.errors.A)},{' '}
+          B = {formatRate(profile.B, profile.errors && profile.errors.B)}
+          {profile.terms === 3
+            ? <>, C = {formatRate(profile.C, profile.errors && profile.errors.C)}</>
+            : ' (C fixed at 0)'}
+          {' '}°/day (sidereal, {profile.n} features)
+        </p>
+      ) : (
+        <p className="text-sm text-gray-500 mb-2">
+          Track at least two labelled features to fit the differential rotation profile.
+        </p>
+      )}
+
+      <div className="border rounded-md p-2">
+        <Plot
+          data={plotData}
+          layout={{
+            title: 'Sidereal rotation rate vs latitude',
+            xaxis: { title: 'Latitude (°)' },
+            yaxis: { title: 'ω sidereal (°/day)' },
+            height: 320,
+            margin: { l: 50, r: 30, t: 40, b: 50 },
+            legend: { orientation: 'h', y: -0.25 }
+          }}
+          config={{ responsive: true }}
+          style={{ width: '100%' }}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default RotationAnalysis;
@@ -0,0 +1,208 @@
+// src/components/SessionPanel.js
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  listSessions,
+  saveSession,
+  loadSession,
+  deleteSession,
+  exportSessionBundle,
+  importSessionBundle
+} from '../utils/sessions';
+
+const SessionPanel = ({ getSessionData, onRestore }) => {
+  const [sessions, setSessions] = useState([]);
+  const [sessionName, setSessionName] = useState('');
+  const [currentSessionId, setCurrentSessionId] = useState(null);
+  const [status, setStatus] = useState('');
+  const [busy, setBusy] = useState(false);
+  const importInputRef = useRef(null);
+
+  const refreshSessions = () => listSessions()
+    .then(setSessions)
+    .catch(error => {
+      console.error('Error listing sessions:', error);
+      setStatus(`Error: ${error.message}`);
+    });
+
+  // Load the list of saved sessions on mount
+  useEffect(() => {
+    listSessions()
+      .then(setSessions)
+      .catch(error => console.error('Error listing sessions:', error));
+  }, []);
+
+  // Run an async session action with shared busy/status handling
+  const runAction = async (action) => {
+    setBusy(true);
+    try {
+      await action();
+    } catch (error) {
+      console.error('Session error:', error);
+      setStatus(`Error: ${error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const applyRestored = (restored) => {
+    onRestore(restored);
+    setCurrentSessionId(restored.id);
+    setSessionName(restored.name || '');
+    setStatus(
+      restored.missing.length > 0
+        ? `Loaded "${restored.name}"; could not restore: ${restored.missing.join(', ')}`
+        : `Loaded "${restored.name}"`
+    );
+  };
+
+  const handleSave = (asNew) => runAction(async () => {
+    const data = getSessionData();
+    if (data.sortedFilenames.length === 0 && data.measurements.length === 0) {
+      setStatus('Nothing to save yet');
+      return;
+    }
+    const name = sessionName.trim() || `Session ${new Date().toLocaleString()}`;
+    setStatus('Saving...');
+    const id = await saveSession({ ...data, id: asNew ? null : currentSessionId, name });
+    setCurrentSessionId(id);
+    setSessionName(name);
+    setStatus(`Saved "${name}"`);
+    await refreshSessions();
+  });
+
+  const handleOpen = (id) => runAction(async () => {
+    setStatus('Loading...');
+    applyRestored(await loadSession(id));
+  });
+
+  const handleDelete = (session) => runAction(async () => {
+    if (!window.confirm(`Delete session "${session.name}"?`)) return;
+    await deleteSession(session.id);
+    if (session.id === currentSessionId) setCurrentSessionId(null);
+    setStatus(`Deleted "${session.name}"`);
+    await refreshSessions();
+  });
+
+  const handleExport = () => runAction(async () => {
+    const name = sessionName.trim() || 'solar_session';
+    setStatus('Preparing bundle...');
+    const bundle = await exportSessionBundle({ ...getSessionData(), name });
+
+    const url = URL.createObjectURL(bundle);
+    const link = document.createElement('a');
+    link.setAttribute('href', url);
+    link.setAttribute('download', `${name.replace(/[^\w-]+/g, '_')}.session.json`);
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+    setStatus(`Exported "${name}"`);
+  });
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    runAction(async () => {
+      setStatus('Importing bundle...');
+      applyRestored(await importSessionBundle(file));
+    });
+  };
+
+  return (
+    <div className="mt-6">
+      <h2 className="font-bold text-lg mb-2">Sessions</h2>
+
+      <input
+        type="text"
+        placeholder="Session name"
+        className="block w-full px-2 py-1 text-sm border border-gray-300 rounded-md"
+        value={sessionName}
+        onChange={(e) => setSessionName(e.target.value)}
+      />
+
+      <div className="flex flex-wrap gap-1 mt-2">
+        <button
+          className="bg-blue-500 hover:bg-blue-700 text-white text-sm py-1 px-2 rounded disabled:opacity-50"
+          onClick={() => handleSave(false)}
+          disabled={busy}
+        >
+          {currentSessionId ? 'Save' : 'Save Session'}
+        </button>
+        {currentSessionId && (
+          <button
+            className="bg-gray-200 hover:bg-gray-300 text-sm py-1 px-2 rounded disabled:opacity-50"
+            onClick={() => handleSave(true)}
+            disabled={busy}
+          >
+            Save as New
+          </button>
+        )}
+        <button
+          className="bg-gray-200 hover:bg-gray-300 text-sm py-1 px-2 rounded disabled:opacity-50"
+          onClick={handleExport}
+          disabled={busy}
+        >
+          Export
+        </button>
+        <button
+          className="bg-gray-200 hover:bg-gray-300 text-sm py-1 px-2 rounded disabled:opacity-50"
+          onClick={() => importInputRef.current.click()}
+          disabled={busy}
+        >
+          Import
+        </button>
+        <input
+          ref={importInputRef}
+          type="file"
+          accept=".json,application/json"
+          className="hidden"
+          onChange={handleImport}
+        />
+      </div>
+
+      {status && (
+        <div className={`mt-2 p-2 text-xs rounded ${
+          status.startsWith('Error') ? 'bg-red-100 text-red-700' : 'bg-blue-100 text-blue-700'
+        }`}>
+          {status}
+        </div>
+      )}
+
+      {sessions.length > 0 && (
+        <ul className="mt-2 border rounded-md divide-y divide-gray-200 max-h-48 overflow-y-auto">
+          {sessions.map(session => (
+            <li
+              key={session.id}
+              className={`p-2 text-xs ${session.id === currentSessionId ? 'bg-blue-50' : ''}`}
+            >
+              <div className="font-medium truncate">{session.name}</div>
+              <div className="text-gray-500">
+                {new Date(session.updatedAt).toLocaleString()} · {session.imageCount} images · {session.measurementCount} measurements
+              </div>
+              <div className="mt-1 space-x-2">
+                <button
+                  className="text-blue-600 hover:underline disabled:opacity-50"
+                  onClick={() => handleOpen(session.id)}
+                  disabled={busy}
+                >
+                  Open
+                </button>
+                <button
+                  className="text-red-600 hover:underline disabled:opacity-50"
+                  onClick={() => handleDelete(session)}
+                  disabled={busy}
+                >
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SessionPanel;
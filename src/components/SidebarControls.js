@@ -1,28 +1,54 @@
 // src/components/SidebarControls.js
 import React from 'react';
+import { REFERENCE_ROTATION_PROFILES } from '../utils/rotationAnalysis';
 
 const SidebarControls = ({
   forceFitsData,
   setForceFitsData,
-  radiusCorrection,
-  setRadiusCorrection,
-  centerXOffset,
-  setCenterXOffset,
-  centerYOffset,
-  setCenterYOffset,
+  calibration,
+  onCalibrationChange,
+  onApplyCalibrationToAll,
+  onCopyCalibrationFromPrevious,
   selectionMode,
   setSelectionMode,
+  rectMeasureMode,
+  setRectMeasureMode,
+  limbPointCount,
+  limbResiduals,
+  onUndoLimbPoint,
+  onClearLimbPoints,
+  coordinateSystem,
+  setCoordinateSystem,
   detectionMethod,
   setDetectionMethod,
   contourThreshold,
   setContourThreshold,
   showSunBoundary,
   setShowSunBoundary,
+  showGrid,
+  setShowGrid,
+  gridSpacing,
+  setGridSpacing,
+  showMeasurementMarkers,
+  setShowMeasurementMarkers,
+  showGhostMarkers,
+  setShowGhostMarkers,
+  spotContrast,
+  setSpotContrast,
+  onDetectSunspots,
+  onClearCandidates,
+  candidateCount,
   disableBoundaryCheck,
   setDisableBoundaryCheck,
   animationRunning,
   setAnimationRunning,
   animationSpeed,
+  animationMode,
+  setAnimationMode,
+  derotationReference,
+  setDerotationReference,
+  derotationProfile,
+  setDerotationProfile,
   setAnimationSpeed,
   currentImageIndex,
   setCurrentImageIndex,
@@ -46,61 +72,88 @@ const SidebarControls = ({
       </div>
       
       <div>
-        <label className="block text-sm font-medium text-gray-700">
-          Sun Boundary Size Adjustment
-        </label>
-        <input
-          type="range"
-          min="1.0"
-          max="7.0"  // Increased from 2.5 to 7.0
-          step="0.05"
-          value={radiusCorrection}
-          onChange={(e) => setRadiusCorrection(parseFloat(e.target.value))}
-          className="w-full"
-        />
-        <div className="text-xs text-gray-500">
-          Value: {radiusCorrection}
+        <h3 className="font-semibold text-sm">Circle Calibration (this image)</h3>
+        
+        <div className="mt-2">
+          <label className="block text-sm font-medium text-gray-700">
+            Radius Correction
+          </label>
+          <input
+            type="range"
+            min="0.8"
+            max="1.2"
+            step="0.001"
+            value={calibration.radiusCorrection}
+            onChange={(e) => onCalibrationChange({ radiusCorrection: parseFloat(e.target.value) })}
+            disabled={!totalImages}
+            className="w-full"
+          />
+          <div className="text-xs text-gray-500">
+            Value: {calibration.radiusCorrection.toFixed(3)}x
+          </div>
         </div>
-      </div>
-      
-      <div>
-        <h3 className="font-semibold text-sm">Fine-tune Circle Position</h3>
         
         <div className="mt-2">
           <label className="block text-sm font-medium text-gray-700">
-            Horizontal Center Adjustment
+            Horizontal Center Offset
           </label>
           <input
             type="range"
-            min="-350"  // Increased from -50 to -350
-            max="350"   // Increased from 50 to 350
-            step="1"
-            value={centerXOffset}
-            onChange={(e) => setCenterXOffset(parseInt(e.target.value))}
+            min="-100"
+            max="100"
+            step="0.5"
+            value={calibration.xOffset}
+            onChange={(e) => onCalibrationChange({ xOffset: parseFloat(e.target.value) })}
+            disabled={!totalImages}
             className="w-full"
           />
           <div className="text-xs text-gray-500">
-            Value: {centerXOffset}
+            Value: {calibration.xOffset} px (original image)
           </div>
         </div>
         
         <div className="mt-2">
           <label className="block text-sm font-medium text-gray-700">
-            Vertical Center Adjustment
+            Vertical Center Offset
           </label>
           <input
             type="range"
-            min="-350"  // Increased from -50 to -350
-            max="350"   // Increased from 50 to 350
-            step="1"
-            value={centerYOffset}
-            onChange={(e) => setCenterYOffset(parseInt(e.target.value))}
+            min="-100"
+            max="100"
+            step="0.5"
+            value={calibration.yOffset}
+            onChange={(e) => onCalibrationChange({ yOffset: parseFloat(e.target.value) })}
+            disabled={!totalImages}
             className="w-full"
           />
           <div className="text-xs text-gray-500">
-            Value: {centerYOffset}
+            Value: {calibration.yOffset} px (original image)
           </div>
         </div>
+        
+        <div className="flex flex-wrap gap-1 mt-2">
+          <button
+            className="bg-gray-200 hover:bg-gray-300 text-xs py-1 px-2 rounded disabled:opacity-50"
+            onClick={() => onCalibrationChange({ radiusCorrection: 1.0, xOffset: 0, yOffset: 0 })}
+            disabled={!totalImages}
+          >
+            Reset
+          </button>
+          <button
+            className="bg-gray-200 hover:bg-gray-300 text-xs py-1 px-2 rounded disabled:opacity-50"
+            onClick={onCopyCalibrationFromPrevious}
+            disabled={currentImageIndex === 0 || !totalImages}
+          >
+            Copy from previous
+          </button>
+          <button
+            className="bg-gray-200 hover:bg-gray-300 text-xs py-1 px-2 rounded disabled:opacity-50"
+            onClick={onApplyCalibrationToAll}
+            disabled={totalImages < 2}
+          >
+            Apply to all
+          </button>
+        </div>
       </div>
       
       <div>
@@ -131,6 +184,106 @@ const SidebarControls = ({
               />
               Point
             </label>
+            <label className="inline-flex items-center">
+              <input
+                type="radio"
+                name="selectionMode"
+                value="limb"
+                checked={selectionMode === 'limb'}
+                onChange={() => setSelectionMode('limb')}
+                className="mr-1"
+              />
+              Fit limb
+            </label>
+          </div>
+        </div>
+      </div>
+      
+      {selectionMode === 'limb' && (
+        <div>
+          <p className="text-xs text-gray-600">
+            Click 3 or more points on the solar limb to fit the disk, or drag the
+            circle&apos;s center and edge handles.
+          </p>
+          <p className="text-sm mt-1">
+            Points: {limbPointCount}
+            {limbResiduals.length >= 3 && (
+              <> · RMS {Math.sqrt(limbResiduals.reduce((sum, r) => sum + r * r, 0) / limbResiduals.length).toFixed(2)} px</>
+            )}
+          </p>
+          {limbResiduals.length > 0 && (
+            <ul className="text-xs text-gray-600 mt-1 max-h-24 overflow-y-auto">
+              {limbResiduals.map((residual, index) => (
+                <li key={index}>
+                  Point {index + 1}: {residual >= 0 ? '+' : ''}{residual.toFixed(2)} px
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="flex space-x-2 mt-2">
+            <button
+              className="bg-gray-200 hover:bg-gray-300 text-xs py-1 px-2 rounded disabled:opacity-50"
+              onClick={onUndoLimbPoint}
+              disabled={limbPointCount === 0}
+            >
+              Undo point
+            </button>
+            <button
+              className="bg-gray-200 hover:bg-gray-300 text-xs py-1 px-2 rounded disabled:opacity-50"
+              onClick={onClearLimbPoints}
+              disabled={limbPointCount === 0}
+            >
+              Clear points
+            </button>
+          </div>
+        </div>
+      )}
+      
+      {selectionMode === 'rect' && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700">
+            Rectangle Measures
+          </label>
+          <select
+            className="mt-1 block w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+            value={rectMeasureMode}
+            onChange={(e) => setRectMeasureMode(e.target.value)}
+          >
+            <option value="centroid">Darkness-weighted centroid</option>
+            <option value="darkest">Darkest (umbra) point</option>
+            <option value="center">Box center</option>
+          </select>
+        </div>
+      )}
+      
+      <div>
+        <label className="block text-sm font-medium text-gray-700">
+          Longitude System
+        </label>
+        <div className="mt-2">
+          <div className="flex space-x-4">
+            <label className="inline-flex items-center">
+              <input
+                type="radio"
+                name="coordinateSystem"
+                value="carrington"
+                checked={coordinateSystem === 'carrington'}
+                onChange={() => setCoordinateSystem('carrington')}
+                className="mr-1"
+              />
+              Carrington
+            </label>
+            <label className="inline-flex items-center">
+              <input
+                type="radio"
+                name="coordinateSystem"
+                value="stonyhurst"
+                checked={coordinateSystem === 'stonyhurst'}
+                onChange={() => setCoordinateSystem('stonyhurst')}
+                className="mr-1"
+              />
+              Stonyhurst
+            </label>
           </div>
         </div>
       </div>
@@ -200,6 +353,62 @@ const SidebarControls = ({
         </div>
       </div>
       
+      <div>
+        <div className="flex items-center">
+          <input
+            type="checkbox"
+            id="showGrid"
+            checked={showGrid}
+            onChange={(e) => setShowGrid(e.target.checked)}
+            className="mr-2"
+          />
+          <label htmlFor="showGrid">Show Heliographic Grid</label>
+        </div>
+        {showGrid && (
+          <div className="mt-1 flex items-center">
+            <label htmlFor="gridSpacing" className="text-sm text-gray-700 mr-2">Spacing:</label>
+            <select
+              id="gridSpacing"
+              className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+              value={gridSpacing}
+              onChange={(e) => setGridSpacing(parseInt(e.target.value))}
+            >
+              <option value={5}>5°</option>
+              <option value={10}>10°</option>
+              <option value={15}>15°</option>
+              <option value={30}>30°</option>
+            </select>
+          </div>
+        )}
+      </div>
+      
+      <div>
+        <div className="flex items-center">
+          <input
+            type="checkbox"
+            id="showMeasurementMarkers"
+            checked={showMeasurementMarkers}
+            onChange={(e) => setShowMeasurementMarkers(e.target.checked)}
+            className="mr-2"
+          />
+          <label htmlFor="showMeasurementMarkers">Show Measurement Markers</label>
+        </div>
+        {showMeasurementMarkers && (
+          <div className="mt-1 ml-6 flex items-center">
+            <input
+              type="checkbox"
+              id="showGhostMarkers"
+              checked={showGhostMarkers}
+              onChange={(e) => setShowGhostMarkers(e.target.checked)}
+              className="mr-2"
+            />
+            <label htmlFor="showGhostMarkers" className="text-sm">
+              Show labelled features from other frames (rotated)
+            </label>
+          </div>
+        )}
+      </div>
+      
       <div>
         <div className="flex items-center">
           <input
@@ -213,6 +422,47 @@ const SidebarControls = ({
         </div>
       </div>
       
+      <h2 className="font-bold text-lg mt-6">Sunspot Detection</h2>
+      
+      <div>
+        <label className="block text-sm font-medium text-gray-700">
+          Minimum Contrast
+        </label>
+        <input
+          type="range"
+          min="0.05"
+          max="0.5"
+          step="0.01"
+          value={spotContrast}
+          onChange={(e) => setSpotContrast(parseFloat(e.target.value))}
+          className="w-full"
+        />
+        <div className="text-xs text-gray-500">
+          Value: {(spotContrast * 100).toFixed(0)}% darker than the limb-darkened disk
+        </div>
+      </div>
+      
+      <div className="flex space-x-2">
+        <button
+          className="flex-1 bg-yellow-400 hover:bg-yellow-500 text-gray-900 font-bold py-2 rounded"
+          onClick={onDetectSunspots}
+        >
+          Detect
+        </button>
+        <button
+          className="flex-1 bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 rounded"
+          onClick={onClearCandidates}
+          disabled={candidateCount === 0}
+        >
+          Clear
+        </button>
+      </div>
+      {candidateCount > 0 && (
+        <div className="text-xs text-gray-500">
+          {candidateCount} candidate(s) found. Click one on the image to measure it.
+        </div>
+      )}
+      
       <h2 className="font-bold text-lg mt-6">Animation Controls</h2>
       
       <div>
@@ -233,6 +483,56 @@ const SidebarControls = ({
         </div>
       </div>
       
+      <div>
+        <label htmlFor="animationMode" className="block text-sm font-medium text-gray-700">
+          Frames
+        </label>
+        <select
+          id="animationMode"
+          className="mt-1 block w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+          value={animationMode}
+          onChange={(e) => setAnimationMode(e.target.value)}
+        >
+          <option value="raw">Raw images</option>
+          <option value="aligned">Co-aligned (common disk)</option>
+          <option value="derotated">Co-aligned and derotated</option>
+        </select>
+        {animationMode === 'derotated' && (
+          <div className="mt-2 space-y-2">
+            <div className="flex items-center">
+              <label htmlFor="derotationReference" className="text-sm text-gray-700 mr-2">Reference:</label>
+              <select
+                id="derotationReference"
+                className="flex-1 px-2 py-1 border border-gray-300 rounded-md text-sm"
+                value={derotationReference}
+                onChange={(e) => setDerotationReference(e.target.value)}
+              >
+                <option value="first">First frame</option>
+                <option value="middle">Middle frame</option>
+                <option value="last">Last frame</option>
+              </select>
+            </div>
+            <div className="flex items-center">
+              <label htmlFor="derotationProfile" className="text-sm text-gray-700 mr-2">Profile:</label>
+              <select
+                id="derotationProfile"
+                className="flex-1 px-2 py-1 border border-gray-300 rounded-md text-sm"
+                value={derotationProfile}
+                onChange={(e) => setDerotationProfile(parseInt(e.target.value))}
+              >
+                {REFERENCE_ROTATION_PROFILES.map((profile, index) => (
+                  <option key={profile.name} value={index}>{profile.name}</option>
+                ))}
+              </select>
+            </div>
+            <p className="text-xs text-gray-500">
+              Frames are rotated to the reference time, so features stay in place while looping.
+              The first loop is slower while frames are rendered.
+            </p>
+          </div>
+        )}
+      </div>
+      
       <div className="flex justify-center mt-2">
         {animationRunning ? (
           <button
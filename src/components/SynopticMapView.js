@@ -0,0 +1,256 @@
+// src/components/SynopticMapView.js
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { applyCalibration } from '../utils/solarCalculations';
+import { resolveObserver } from '../utils/ephemeris';
+import { getAnalysisPixels, downsamplePixels, percentile, createCanvas } from '../utils/imageProcessing';
+import { buildSynopticMap, synopticMapGeometry } from '../utils/synopticMap';
+import { labelColor } from '../utils/measurementOverlay';
+
+// Larger side of the images sampled for the map, in pixels
+const SAMPLE_SIZE = 1024;
+const NO_DATA_COLOR = [20, 20, 40];
+
+const hasTime = (entry) => entry && entry.obsTime instanceof Date && !Number.isNaN(entry.obsTime.getTime());
+
+// Equirectangular Carrington map of the current image or the whole sequence;
+// clicking the map measures the point on the frame that sees it best
+const SynopticMapView = ({ images, sortedFilenames, currentImageIndex, measurements, onMeasure }) => {
+  const [source, setSource] = useState('current');
+  const [resolution, setResolution] = useState(0.5);
+  const [minMu, setMinMu] = useState(0.1);
+  const [map, setMap] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [status, setStatus] = useState('');
+  const [hover, setHover] = useState(null);
+  const canvasRef = useRef(null);
+  const baseRef = useRef(null);
+  const abortRef = useRef(null);
+
+  const names = useMemo(() => (
+    source === 'all' ? sortedFilenames : sortedFilenames.slice(currentImageIndex, currentImageIndex + 1)
+  ).filter(name => hasTime(images[name]) && images[name].sunParams), [source, sortedFilenames, currentImageIndex, images]);
+
+  const handleBuild = async () => {
+    if (names.length === 0) {
+      setStatus('No images with a known observation time to map.');
+      return;
+    }
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setProgress(0);
+    setStatus('');
+
+    try {
+      const frames = names.map(name => {
+        const entry = images[name];
+        const calibrated = applyCalibration(entry.sunParams, entry.calibration);
+        const pixels = downsamplePixels(getAnalysisPixels(entry), SAMPLE_SIZE);
+        return {
+          pixels,
+          sunParams: {
+            cx: calibrated.cx * pixels.scale,
+            cy: calibrated.cy * pixels.scale,
+            radius: calibrated.radius * pixels.scale
+          },
+          observer: resolveObserver(entry.obsTime, entry.observer)
+        };
+      });
+
+      const result = await buildSynopticMap({
+        frames,
+        resolution,
+        minMu,
+        onProgress: setProgress,
+        signal: controller.signal
+      });
+      setMap({ ...result, names });
+      setStatus(`Map from ${names.length} image(s)`);
+    } catch (error) {
+      if (error.cancelled) {
+        setStatus('Map cancelled');
+      } else {
+        console.error('Error building synoptic map:', error);
+        setStatus(`Error building map: ${error.message}`);
+      }
+    } finally {
+      abortRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  // Grayscale rendering of the map, kept for redrawing the markers
+  useEffect(() => {
+    if (!map) {
+      baseRef.current = null;
+      return;
+    }
+    const { width, height, values } = map;
+    const low = percentile(values, 1);
+    const high = percentile(values, 99.5);
+    const range = high > low ? high - low : 1;
+
+    const imageData = new ImageData(width, height);
+    for (let i = 0; i < values.length; i++) {
+      const value = values[i];
+      if (Number.isFinite(value)) {
+        const level = Math.min(255, Math.max(0, ((value - low) / range) * 255));
+        imageData.data[i * 4] = level;
+        imageData.data[i * 4 + 1] = level;
+        imageData.data[i * 4 + 2] = level;
+      } else {
+        [imageData.data[i * 4], imageData.data[i * 4 + 1], imageData.data[i * 4 + 2]] = NO_DATA_COLOR;
+      }
+      imageData.data[i * 4 + 3] = 255;
+    }
+    const base = createCanvas(width, height);
+    base.getContext('2d').putImageData(imageData, 0, 0);
+    baseRef.current = base;
+  }, [map]);
+
+  // Map, 30° graticule and measurement markers
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const base = baseRef.current;
+    if (!canvas || !base || !map) return;
+
+    const ctx = canvas.getContext('2d');
+    const { width, height, toMap } = synopticMapGeometry(map.resolution);
+    canvas.width = width;
+    canvas.height = height;
+    ctx.drawImage(base, 0, 0);
+
+    ctx.strokeStyle = 'rgba(0, 255, 255, 0.35)';
+    ctx.lineWidth = 1;
+    for (let longitude = 30; longitude < 360; longitude += 30) {
+      const { x } = toMap(longitude, 0);
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+      ctx.stroke();
+    }
+    for (let latitude = -60; latitude <= 60; latitude += 30) {
+      const { y } = toMap(0, latitude);
+      ctx.beginPath();
+      ctx.moveTo(0, y);
+      ctx.lineTo(width, y);
+      ctx.stroke();
+    }
+
+    const radius = Math.max(2, width / 360);
+    for (const m of measurements) {
+      if (!Number.isFinite(m.carringtonLongitude) || !Number.isFinite(m.helioLatitude)) continue;
+      const { x, y } = toMap(m.carringtonLongitude, m.helioLatitude);
+      ctx.strokeStyle = labelColor(m.label);
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.arc(x, y, radius * 2, 0, 2 * Math.PI);
+      ctx.stroke();
+    }
+  }, [map, measurements]);
+
+  const mapPosition = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left) * canvas.width / rect.width;
+    const y = (e.clientY - rect.top) * canvas.height / rect.height;
+    return synopticMapGeometry(map.resolution).fromMap(x, y);
+  };
+
+  const coverageAt = ({ carringtonLongitude, latitude }) => {
+    const { width, toMap } = synopticMapGeometry(map.resolution);
+    const { x, y } = toMap(carringtonLongitude, latitude);
+    return map.weights[Math.floor(y) * width + Math.min(width - 1, Math.floor(x))] > 0;
+  };
+
+  return (
+    <div style={{ maxWidth: '800px' }}>
+      <div className="flex flex-wrap items-center gap-3 mb-2 text-sm">
+        <label className="flex items-center">
+          <span className="mr-1 text-gray-700">Source:</span>
+          <select
+            className="px-2 py-1 border border-gray-300 rounded-md"
+            value={source}
+            onChange={(e) => setSource(e.target.value)}
+          >
+            <option value="current">Current image</option>
+            <option value="all">All images (μ-weighted)</option>
+          </select>
+        </label>
+        <label className="flex items-center">
+          <span className="mr-1 text-gray-700">Resolution:</span>
+          <select
+            className="px-2 py-1 border border-gray-300 rounded-md"
+            value={resolution}
+            onChange={(e) => setResolution(parseFloat(e.target.value))}
+          >
+            <option value={1}>1°/px</option>
+            <option value={0.5}>0.5°/px</option>
+            <option value={0.25}>0.25°/px</option>
+          </select>
+        </label>
+        <label className="flex items-center">
+          <span className="mr-1 text-gray-700">Min μ:</span>
+          <input
+            type="number"
+            min="0"
+            max="0.9"
+            step="0.05"
+            className="w-16 px-2 py-1 border border-gray-300 rounded-md"
+            value={minMu}
+            onChange={(e) => setMinMu(parseFloat(e.target.value) || 0)}
+          />
+        </label>
+        {progress !== null ? (
+          <button
+            className="bg-red-100 hover:bg-red-200 text-red-700 py-1 px-3 rounded"
+            onClick={() => abortRef.current && abortRef.current.abort()}
+          >
+            Cancel ({(progress * 100).toFixed(0)}%)
+          </button>
+        ) : (
+          <button
+            className="bg-blue-500 hover:bg-blue-700 text-white py-1 px-3 rounded"
+            onClick={handleBuild}
+          >
+            {map ? 'Rebuild map' : 'Build map'}
+          </button>
+        )}
+      </div>
+
+      {map ? (
+        <>
+          <canvas
+            ref={canvasRef}
+            className="w-full h-auto cursor-crosshair"
+            style={{ border: '1px solid #ccc', imageRendering: 'pixelated' }}
+            onMouseMove={(e) => setHover(mapPosition(e))}
+            onMouseLeave={() => setHover(null)}
+            onClick={(e) => {
+              const position = mapPosition(e);
+              if (coverageAt(position)) onMeasure(position, map.names);
+            }}
+          />
+          <div className="flex justify-between text-xs text-gray-500 mt-1">
+            <span>Carrington longitude 0° → 360°, latitude +90° (top) → −90°</span>
+            {hover && (
+              <span className="font-mono">
+                Carr. Lon = {hover.carringtonLongitude.toFixed(2)}°, Lat = {hover.latitude.toFixed(2)}°
+                {!coverageAt(hover) && ' (no data)'}
+              </span>
+            )}
+          </div>
+          <p className="text-xs text-gray-600 mt-1">
+            Click the map to record a measurement at that position (on the image that sees it closest to disk center).
+          </p>
+        </>
+      ) : (
+        <p className="text-sm text-gray-500">
+          Build a map to reproject the disk onto Carrington longitude and latitude.
+        </p>
+      )}
+      {status && <p className="text-xs text-gray-700 mt-1">{status}</p>}
+    </div>
+  );
+};
+
+export default SynopticMapView;
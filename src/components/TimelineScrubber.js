@@ -0,0 +1,122 @@
+// src/components/TimelineScrubber.js
+import React, { useMemo, useRef } from 'react';
+import { findTimeGaps } from '../utils/observationTime';
+
+const formatTime = (time) => new Date(time).toISOString().replace('T', ' ').slice(0, 19) + ' UTC';
+
+const formatDuration = (ms) => {
+  const minutes = ms / 60000;
+  if (minutes < 90) return `${minutes.toFixed(0)} min`;
+  const hours = minutes / 60;
+  if (hours < 48) return `${hours.toFixed(1)} h`;
+  return `${(hours / 24).toFixed(1)} d`;
+};
+
+// Frames placed along a time axis; click or drag to pick the frame closest in time
+const TimelineScrubber = ({ images, sortedFilenames, currentImageIndex, onSelectIndex, onEditTimes }) => {
+  const barRef = useRef(null);
+  const draggingRef = useRef(false);
+
+  const { frames, unknown, start, end, gaps } = useMemo(() => {
+    const frames = [];
+    const unknown = [];
+    sortedFilenames.forEach((name, index) => {
+      const obsTime = images[name] && images[name].obsTime;
+      const time = obsTime instanceof Date ? obsTime.getTime() : NaN;
+      if (Number.isFinite(time)) {
+        frames.push({ name, index, time });
+      } else {
+        unknown.push(name);
+      }
+    });
+    frames.sort((a, b) => a.time - b.time);
+    const start = frames.length > 0 ? frames[0].time : 0;
+    const end = frames.length > 0 ? frames[frames.length - 1].time : 0;
+    return { frames, unknown, start, end, gaps: findTimeGaps(frames.map(f => f.time)) };
+  }, [images, sortedFilenames]);
+
+  if (sortedFilenames.length === 0) return null;
+
+  const span = end - start;
+  const position = (time) => (span > 0 ? ((time - start) / span) * 100 : 50);
+  const currentName = sortedFilenames[currentImageIndex];
+  const currentFrame = frames.find(f => f.name === currentName);
+
+  const selectAt = (clientX) => {
+    const bar = barRef.current;
+    if (!bar || frames.length === 0) return;
+    const rect = bar.getBoundingClientRect();
+    const time = start + Math.min(1, Math.max(0, (clientX - rect.left) / rect.width)) * span;
+    let nearest = frames[0];
+    for (const frame of frames) {
+      if (Math.abs(frame.time - time) < Math.abs(nearest.time - time)) nearest = frame;
+    }
+    if (nearest.index !== currentImageIndex) onSelectIndex(nearest.index);
+  };
+
+  return (
+    <div className="mt-2">
+      {frames.length > 0 && (
+        <>
+          <div
+            ref={barRef}
+            className="relative h-6 bg-gray-100 rounded cursor-pointer select-none"
+            onPointerDown={(e) => {
+              draggingRef.current = true;
+              e.currentTarget.setPointerCapture(e.pointerId);
+              selectAt(e.clientX);
+            }}
+            onPointerMove={(e) => {
+              if (draggingRef.current) selectAt(e.clientX);
+            }}
+            onPointerUp={() => { draggingRef.current = false; }}
+            onPointerCancel={() => { draggingRef.current = false; }}
+          >
+            {gaps.map(gap => (
+              <div
+                key={gap.afterIndex}
+                className="absolute top-0 h-full bg-red-100"
+                style={{ left: `${position(gap.start)}%`, width: `${position(gap.end) - position(gap.start)}%` }}
+                title={`Gap of ${formatDuration(gap.end - gap.start)}`}
+              />
+            ))}
+            {frames.map(frame => (
+              <div
+                key={frame.name}
+                className={`absolute top-1 bottom-1 ${frame.name === currentName ? 'w-1 bg-blue-600 z-10' : 'w-px bg-gray-500'}`}
+                style={{ left: `${position(frame.time)}%` }}
+                title={`${frame.name}\n${formatTime(frame.time)}`}
+              />
+            ))}
+          </div>
+          <div className="flex justify-between text-xs text-gray-500 mt-1">
+            <span>{formatTime(start)}</span>
+            <span className="text-gray-700">
+              {currentFrame ? formatTime(currentFrame.time) : 'Current image has no observation time'}
+              {gaps.length > 0 && ` · ${gaps.length} gap(s)`}
+            </span>
+            <span>{formatTime(end)}</span>
+          </div>
+        </>
+      )}
+
+      <div className="flex items-center justify-between text-xs mt-1">
+        {unknown.length > 0 ? (
+          <span className="text-yellow-700">
+            {unknown.length} image(s) without observation time (shown last).{' '}
+            <button className="text-blue-600 hover:underline" onClick={() => onEditTimes(unknown)}>
+              Set times…
+            </button>
+          </span>
+        ) : <span />}
+        {currentName && (
+          <button className="text-blue-600 hover:underline" onClick={() => onEditTimes([currentName])}>
+            Edit time of this image
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TimelineScrubber;
@@ -1,24 +1,79 @@
 // src/components/UploadPanel.js
-import React, { useCallback, useState } from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
 import { useDropzone } from 'react-dropzone';
 
-const UploadPanel = ({ onFileUpload }) => {
-  const [uploadStatus, setUploadStatus] = useState('');
+// Small preview of a loaded image (an ImageBitmap rendered by the loader)
+const Thumbnail = ({ bitmap }) => {
+  const canvasRef = useRef(null);
 
-  const onDrop = useCallback((acceptedFiles) => {
-    if (acceptedFiles.length > 0) {
-      setUploadStatus(`Processing ${acceptedFiles.length} file(s)...`);
-      
-      // Log file information for debugging
-      acceptedFiles.forEach(file => {
-        console.log('File:', file.name, 'Type:', file.type, 'Size:', file.size);
-      });
-      
-      onFileUpload(acceptedFiles);
-      setUploadStatus(`Uploaded ${acceptedFiles.length} file(s) successfully!`);
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !bitmap) return;
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+  }, [bitmap]);
+
+  return <canvas ref={canvasRef} className="w-8 h-8 object-contain bg-black rounded flex-shrink-0" />;
+};
+
+const STATUS_STYLES = {
+  info: 'bg-blue-100 text-blue-700',
+  success: 'bg-green-100 text-green-700',
+  warning: 'bg-yellow-100 text-yellow-800',
+  error: 'bg-red-100 text-red-700'
+};
+
+const UploadPanel = ({ onFileUpload, onCancelUpload }) => {
+  const [uploadStatus, setUploadStatus] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [results, setResults] = useState([]);
+  const [cancelling, setCancelling] = useState(false);
+
+  const isLoading = progress !== null;
+
+  const onDrop = useCallback(async (acceptedFiles) => {
+    if (acceptedFiles.length === 0) return;
+
+    // Log file information for debugging
+    acceptedFiles.forEach(file => {
+      console.log('File:', file.name, 'Type:', file.type, 'Size:', file.size);
+    });
+
+    setResults([]);
+    setCancelling(false);
+    setUploadStatus({ kind: 'info', text: `Processing ${acceptedFiles.length} file(s)...` });
+    setProgress({ done: 0, total: 0, current: null });
+
+    try {
+      const fileResults = await onFileUpload(acceptedFiles, setProgress);
+      const loaded = fileResults.filter(r => r.status === 'loaded').length;
+      const failed = fileResults.filter(r => r.status === 'error').length;
+      const cancelled = fileResults.filter(r => r.status === 'cancelled').length;
+
+      setResults(fileResults);
+      if (fileResults.length === 0) {
+        setUploadStatus({ kind: 'warning', text: 'No new images to load (already loaded or unsupported).' });
+      } else if (cancelled > 0) {
+        setUploadStatus({ kind: 'warning', text: `Cancelled: loaded ${loaded} of ${fileResults.length} image(s).` });
+      } else if (failed > 0) {
+        setUploadStatus({ kind: 'error', text: `Loaded ${loaded} of ${fileResults.length} image(s); ${failed} failed.` });
+      } else {
+        setUploadStatus({ kind: 'success', text: `Loaded ${loaded} image(s) successfully!` });
+      }
+    } catch (error) {
+      console.error('Error loading files:', error);
+      setUploadStatus({ kind: 'error', text: `Error loading files: ${error.message}` });
+    } finally {
+      setProgress(null);
     }
   }, [onFileUpload]);
 
+  const handleCancel = () => {
+    setCancelling(true);
+    onCancelUpload();
+  };
+
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
     accept: {
@@ -34,7 +89,8 @@ const UploadPanel = ({ onFileUpload }) => {
       'application/json': [],
       '.json': []
     },
-    multiple: true
+    multiple: true,
+    disabled: isLoading
   });
 
   return (
@@ -62,15 +118,50 @@ const UploadPanel = ({ onFileUpload }) => {
         </p>
       </div>
       
+      {isLoading && (
+        <div className="mt-2">
+          <div className="w-full bg-gray-200 rounded h-2 overflow-hidden">
+            <div
+              className="bg-blue-500 h-2 transition-all"
+              style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%` }}
+            />
+          </div>
+          <div className="flex items-center justify-between mt-1 text-xs text-gray-600">
+            <span className="truncate mr-2">
+              {progress.done}/{progress.total || '?'}{progress.current ? ` — ${progress.current}` : ''}
+            </span>
+            <button
+              className="bg-red-100 hover:bg-red-200 text-red-700 py-1 px-2 rounded disabled:opacity-50"
+              onClick={handleCancel}
+              disabled={cancelling}
+            >
+              {cancelling ? 'Cancelling...' : 'Cancel'}
+            </button>
+          </div>
+        </div>
+      )}
+      
       {uploadStatus && (
-        <div className={`mt-2 p-2 text-sm rounded ${
-          uploadStatus.includes('successfully') 
-            ? 'bg-green-100 text-green-700' 
-            : 'bg-blue-100 text-blue-700'
-        }`}>
-          {uploadStatus}
+        <div className={`mt-2 p-2 text-sm rounded ${STATUS_STYLES[uploadStatus.kind]}`}>
+          {uploadStatus.text}
         </div>
       )}
+      
+      {results.length > 0 && (
+        <ul className="mt-2 max-h-40 overflow-y-auto text-xs space-y-1">
+          {results.map(result => (
+            <li key={result.name} className="flex items-center space-x-2">
+              {result.thumbnail ? <Thumbnail bitmap={result.thumbnail} /> : <span className="w-8 h-8 flex-shrink-0" />}
+              <span className="truncate flex-1" title={result.name}>{result.name}</span>
+              {result.status === 'loaded' && <span className="text-green-600">✓</span>}
+              {result.status === 'cancelled' && <span className="text-gray-500">cancelled</span>}
+              {result.status === 'error' && (
+                <span className="text-red-600 truncate max-w-[50%]" title={result.message}>{result.message}</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
     </div>
   );
 };
@@ -1,25 +1,60 @@
 // src/components/ZoomViewer.js
-import React from 'react';
+import React, { useRef, useEffect } from 'react';
+
+// Live magnifier: redraws the region around `center` (original image pixels) whenever it moves
+const ZoomViewer = ({ image, center, zoomSize = 60, zoomFactor = 4, title = 'Loupe' }) => {
+  const canvasRef = useRef(null);
+  const canvasSize = zoomSize * zoomFactor;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'black';
+    ctx.fillRect(0, 0, canvasSize, canvasSize);
+    if (!image || !center) return;
+
+    try {
+      // Clip the source region to the image; the rest stays black
+      const half = zoomSize / 2;
+      const left = Math.max(0, center.x - half);
+      const top = Math.max(0, center.y - half);
+      const right = Math.min(image.width, center.x + half);
+      const bottom = Math.min(image.height, center.y + half);
+      if (right > left && bottom > top) {
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(
+          image,
+          left, top, right - left, bottom - top,
+          (left - (center.x - half)) * zoomFactor, (top - (center.y - half)) * zoomFactor,
+          (right - left) * zoomFactor, (bottom - top) * zoomFactor
+        );
+      }
+
+      // Crosshair
+      ctx.strokeStyle = 'rgba(255,0,255,0.8)';
+      ctx.lineWidth = 1;
+      ctx.beginPath(); ctx.moveTo(0, canvasSize / 2); ctx.lineTo(canvasSize, canvasSize / 2); ctx.stroke();
+      ctx.beginPath(); ctx.moveTo(canvasSize / 2, 0); ctx.lineTo(canvasSize / 2, canvasSize); ctx.stroke();
+    } catch (error) {
+      console.error('Error drawing loupe:', error);
+    }
+  }, [image, center, zoomSize, zoomFactor, canvasSize]);
 
-const ZoomViewer = ({ image }) => {
   return (
     <div className="border border-gray-300 rounded-md overflow-hidden">
-      <h3 className="text-sm font-semibold bg-gray-100 p-2">Zoomed Region</h3>
+      <h3 className="text-sm font-semibold bg-gray-100 p-2">{title}</h3>
       <div className="p-2">
-        {image ? (
-          <img 
-            src={image} 
-            alt="Zoomed region" 
-            className="w-full h-auto"
-          />
-        ) : (
-          <div className="h-32 flex items-center justify-center bg-gray-50">
-            <p className="text-sm text-gray-400">No selection</p>
-          </div>
-        )}
+        <canvas
+          ref={canvasRef}
+          width={canvasSize}
+          height={canvasSize}
+          className="w-full h-auto"
+          style={{ imageRendering: 'pixelated' }}
+        />
       </div>
     </div>
   );
 };
 
-export default ZoomViewer;
\ No newline at end of file
+export default ZoomViewer;
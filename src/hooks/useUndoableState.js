@@ -0,0 +1,67 @@
+// src/hooks/useUndoableState.js
+import { useState, useCallback } from 'react';
+
+/**
+ * useState with an undo/redo history. Every change made through the setter
+ * (value or updater function) is recorded; `reset` replaces the value and
+ * clears the history.
+ *
+ * @param {*} initialValue - Initial state
+ * @param {number} [limit=100] - Maximum number of undo steps kept
+ * @returns {[*, Function, {undo: Function, redo: Function, reset: Function, canUndo: boolean, canRedo: boolean}]}
+ */
+const useUndoableState = (initialValue, limit = 100) => {
+  const [history, setHistory] = useState({ past: [], present: initialValue, future: [] });
+
+  const setValue = useCallback((valueOrUpdater) => {
+    setHistory(current => {
+      const next = typeof valueOrUpdater === 'function' ? valueOrUpdater(current.present) : valueOrUpdater;
+      if (next === current.present) return current;
+      return {
+        past: [...current.past, current.present].slice(-limit),
+        present: next,
+        future: []
+      };
+    });
+  }, [limit]);
+
+  const undo = useCallback(() => {
+    setHistory(current => {
+      if (current.past.length === 0) return current;
+      return {
+        past: current.past.slice(0, -1),
+        present: current.past[current.past.length - 1],
+        future: [current.present, ...current.future]
+      };
+    });
+  }, []);
+
+  const redo = useCallback(() => {
+    setHistory(current => {
+      if (current.future.length === 0) return current;
+      return {
+        past: [...current.past, current.present],
+        present: current.future[0],
+        future: current.future.slice(1)
+      };
+    });
+  }, []);
+
+  const reset = useCallback((value) => {
+    setHistory({ past: [], present: value, future: [] });
+  }, []);
+
+  return [
+    history.present,
+    setValue,
+    {
+      undo,
+      redo,
+      reset,
+      canUndo: history.past.length > 0,
+      canRedo: history.future.length > 0
+    }
+  ];
+};
+
+export default useUndoableState;
@@ -1,15 +1,32 @@
 // src/pages/index.js
-import { useState, useRef, useEffect } from 'react';
+import { useState, useRef, useEffect, useMemo } from 'react';
 import Head from 'next/head';
 import dynamic from 'next/dynamic';
 import { 
   calculateHeliographicCoordinates, 
   determineImageCenterAndRadius,
   readImageFile,
-  readFitsFile,
-  extractZoomRegion,
-  isPointOnSun
+  isPointOnSun,
+  getLongitude,
+  applyCalibration,
+  pixelToHeliographic,
+  heliographicToPixel,
+  DEFAULT_CALIBRATION,
+  LIMB_DETECTION_SIZE
 } from '../utils/solarCalculations';
+import { getObserverFromHeader } from '../utils/fitsReader';
+import { resolveObserver } from '../utils/ephemeris';
+import { getAnalysisPixels, getImagePixels, downsamplePixels, findFeatureCentroid, detectSunspots, fitCircle } from '../utils/imageProcessing';
+import { renderEnhancedImage, DEFAULT_ENHANCEMENT } from '../utils/enhancement';
+import { createMeasurement } from '../utils/measurements';
+import { trackFeature } from '../utils/featureTracking';
+import { buildHeliographicGrid } from '../utils/heliographicGrid';
+import { buildMeasurementOverlay } from '../utils/measurementOverlay';
+import { groupUploadFiles } from '../utils/imageLoading';
+import { createUploadLoader } from '../utils/uploadLoader';
+import { sortFilenamesByTime } from '../utils/observationTime';
+import { bestFrameForPosition } from '../utils/synopticMap';
+import useUndoableState from '../hooks/useUndoableState';
 
 // Dynamically import Konva components with ssr: false
 const KonvaComponents = dynamic(
@@ -23,6 +40,14 @@ const ZoomViewer = dynamic(() => import('../components/ZoomViewer'), { ssr: fals
 const SidebarControls = dynamic(() => import('../components/SidebarControls'), { ssr: false });
 const MeasurementsPanel = dynamic(() => import('../components/MeasurementsPanel'), { ssr: false });
 const ImageInfoPanel = dynamic(() => import('../components/ImageInfoPanel'), { ssr: false });
+const SessionPanel = dynamic(() => import('../components/SessionPanel'), { ssr: false });
+const CursorReadout = dynamic(() => import('../components/CursorReadout'), { ssr: false });
+const TimelineScrubber = dynamic(() => import('../components/TimelineScrubber'), { ssr: false });
+const ObservationTimeDialog = dynamic(() => import('../components/ObservationTimeDialog'), { ssr: false });
+const AlignedAnimationView = dynamic(() => import('../components/AlignedAnimationView'), { ssr: false });
+const MovieExportPanel = dynamic(() => import('../components/MovieExportPanel'), { ssr: false });
+const SynopticMapView = dynamic(() => import('../components/SynopticMapView'), { ssr: false });
+const EnhancementPanel = dynamic(() => import('../components/EnhancementPanel'), { ssr: false });
 
 export default function Home() {
   // State for images and processing
@@ -30,19 +55,31 @@ export default function Home() {
   const [currentImageIndex, setCurrentImageIndex] = useState(0);
   const [sortedFilenames, setSortedFilenames] = useState([]);
   const [currentSelection, setCurrentSelection] = useState(null);
-  const [measurements, setMeasurements] = useState([]);
+  const [measurements, setMeasurements, measurementHistory] = useUndoableState([]);
+  const [highlightedMeasurementId, setHighlightedMeasurementId] = useState(null);
   const [animationRunning, setAnimationRunning] = useState(false);
   const [animationSpeed, setAnimationSpeed] = useState(500);
-  const [selectionMode, setSelectionMode] = useState('rect'); // 'rect' or 'point'
+  // 'raw', 'aligned' (common disk) or 'derotated' (also rotated to a reference frame)
+  const [animationMode, setAnimationMode] = useState('raw');
+  const [derotationReference, setDerotationReference] = useState('middle');
+  const [derotationProfile, setDerotationProfile] = useState(1);
+  const [selectionMode, setSelectionMode] = useState('rect'); // 'rect', 'point' or 'limb'
+  const [rectMeasureMode, setRectMeasureMode] = useState('centroid'); // 'centroid', 'darkest' or 'center'
+  const [isDrawing, setIsDrawing] = useState(false);
+  const [coordinateSystem, setCoordinateSystem] = useState('carrington'); // 'carrington' or 'stonyhurst'
   
   // Configuration state
   const [forceFitsData, setForceFitsData] = useState(true);
-  const [radiusCorrection, setRadiusCorrection] = useState(2.0);
-  const [centerXOffset, setCenterXOffset] = useState(-21);
-  const [centerYOffset, setCenterYOffset] = useState(0);
   const [detectionMethod, setDetectionMethod] = useState('center');
   const [contourThreshold, setContourThreshold] = useState(15);
   const [showSunBoundary, setShowSunBoundary] = useState(true);
+  const [showGrid, setShowGrid] = useState(false);
+  const [gridSpacing, setGridSpacing] = useState(15);
+  const [showMeasurementMarkers, setShowMeasurementMarkers] = useState(true);
+  const [showGhostMarkers, setShowGhostMarkers] = useState(false);
+  // Display processing of the current image and its latest rendering ({name, canvas, limbFit})
+  const [enhancement, setEnhancement] = useState(DEFAULT_ENHANCEMENT);
+  const [enhancedImage, setEnhancedImage] = useState(null);
   const [disableBoundaryCheck, setDisableBoundaryCheck] = useState(false);
   const [zoomSize, setZoomSize] = useState(60);
   const [zoomFactor, setZoomFactor] = useState(4);
@@ -50,26 +87,51 @@ export default function Home() {
   // Refs
   const stageRef = useRef(null);
   const animationRef = useRef(null);
+  const drawStartRef = useRef(null);
+  const uploadLoaderRef = useRef(null);
+  // Latest images, for async work that must not restart when they change
+  const imagesRef = useRef(images);
+  imagesRef.current = images;
+  // Set when an upload merge needs the sequence re-sorted
+  const resortPendingRef = useRef(false);
   
   // Derived state for current image
   const [currentImage, setCurrentImage] = useState(null);
   const [originalDimensions, setOriginalDimensions] = useState({ width: 0, height: 0 });
   const [displayDimensions, setDisplayDimensions] = useState({ width: 0, height: 0 });
   const [sunParams, setSunParams] = useState({ cx: 0, cy: 0, radius: 0 });
+  const [calibratedSunParams, setCalibratedSunParams] = useState({ cx: 0, cy: 0, radius: 0 });
   const [adjustedSunParams, setAdjustedSunParams] = useState({ cx: 0, cy: 0, radius: 0 });
   const [imageScale, setImageScale] = useState(1.0);
   const [obsTime, setObsTime] = useState(null);
+  const [observer, setObserver] = useState(null);
   
   // Derived state for selection
   const [selectionCoords, setSelectionCoords] = useState(null);
   const [heliographicCoords, setHeliographicCoords] = useState(null);
   const [distanceFromCenter, setDistanceFromCenter] = useState(null);
-  const [zoomedRegion, setZoomedRegion] = useState(null);
+  
+  // Cursor position over the stage (display coordinates), for the live readout and loupe
+  const [hoverPoint, setHoverPoint] = useState(null);
+  const hoverFrameRef = useRef(null);
   
   // UI state
   const [activeTab, setActiveTab] = useState('measurements');
+  // Left panel: the current disk image or the Carrington map
+  const [viewMode, setViewMode] = useState('disk');
+  // Filenames being edited in the observation time dialog (null when closed)
+  const [timeDialogNames, setTimeDialogNames] = useState(null);
   const [featureLabel, setFeatureLabel] = useState('');
   
+  // Automatic feature detection
+  const [featureCandidates, setFeatureCandidates] = useState([]);
+  const [spotContrast, setSpotContrast] = useState(0.15);
+  const [featureStats, setFeatureStats] = useState(null);
+  
+  // Points clicked on the limb of the current image (original pixels)
+  const [limbPoints, setLimbPoints] = useState([]);
+  const limbPointsImageRef = useRef(null);
+  
   // Load initial data and set up event listeners
   useEffect(() => {
     // This would typically handle loading initial data
@@ -80,9 +142,34 @@ export default function Home() {
       if (animationRef.current) {
         clearInterval(animationRef.current);
       }
+      if (uploadLoaderRef.current) {
+        uploadLoaderRef.current.terminate();
+      }
     };
   }, []);
   
+  // Undo/redo measurement changes from the keyboard (outside text fields)
+  const { undo: undoMeasurements, redo: redoMeasurements } = measurementHistory;
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const tag = e.target.tagName;
+      if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+      
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoMeasurements();
+      } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        redoMeasurements();
+      }
+    };
+    
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undoMeasurements, redoMeasurements]);
+  
   // Handle changes in sorted filenames
   useEffect(() => {
     if (sortedFilenames.length > 0 && currentImageIndex >= sortedFilenames.length) {
@@ -114,6 +201,7 @@ export default function Home() {
       if (images[currentFilename]) {
         setCurrentImage(images[currentFilename].image);
         setObsTime(images[currentFilename].obsTime);
+        setObserver(resolveObserver(images[currentFilename].obsTime, images[currentFilename].observer));
         setOriginalDimensions({
           width: images[currentFilename].width,
           height: images[currentFilename].height
@@ -142,270 +230,232 @@ export default function Home() {
           const { cx, cy, radius } = determineImageCenterAndRadius(
             images[currentFilename].image,
             detectionMethod === 'center',
-            contourThreshold
+            contourThreshold,
+            images[currentFilename].pixelData
           );
           setSunParams({ cx, cy, radius });
         }
         
+        // Limb points belong to one image; keep them while its parameters are edited
+        if (limbPointsImageRef.current !== currentFilename) {
+          limbPointsImageRef.current = currentFilename;
+          setLimbPoints([]);
+        }
+        
         // Reset selection state
+        setFeatureCandidates([]);
+        setFeatureStats(null);
         setCurrentSelection(null);
         setSelectionCoords(null);
         setHeliographicCoords(null);
         setDistanceFromCenter(null);
-        setZoomedRegion(null);
       }
     }
   }, [currentImageIndex, sortedFilenames, images, detectionMethod, contourThreshold]);
   
-  // Update adjusted sun parameters when offsets change
+  // Calibration of the current image (neutral until adjusted)
+  const currentCalibration = images[sortedFilenames[currentImageIndex]]?.calibration || DEFAULT_CALIBRATION;
+  
+  // Update calibrated and display sun parameters when the calibration changes
   useEffect(() => {
     if (sunParams.cx && sunParams.cy && sunParams.radius) {
-      const adjustedCx = sunParams.cx * imageScale + centerXOffset;
-      const adjustedCy = sunParams.cy * imageScale + centerYOffset;
-      const adjustedRadius = sunParams.radius * imageScale * radiusCorrection;
-      
+      const calibrated = applyCalibration(sunParams, currentCalibration);
+      setCalibratedSunParams(calibrated);
       setAdjustedSunParams({
-        cx: adjustedCx,
-        cy: adjustedCy,
-        radius: adjustedRadius
+        cx: calibrated.cx * imageScale,
+        cy: calibrated.cy * imageScale,
+        radius: calibrated.radius * imageScale
       });
     }
-  }, [sunParams, imageScale, centerXOffset, centerYOffset, radiusCorrection]);
+  }, [sunParams, imageScale, currentCalibration]);
   
-  // Handle file upload
-  const handleFileUpload = async (files) => {
-    console.log('handleFileUpload called with files:', files.length);
-    
-    const newImages = { ...images };
-    let newLoaded = false;
-    
-    // Group files by base name (without extension)
-    const fileGroups = {};
-    
-    // First pass: Group files by base name
-    for (const file of files) {
-      // Get base name (remove extension)
-      const baseName = file.name.split('.').slice(0, -1).join('.');
-      if (!fileGroups[baseName]) {
-        fileGroups[baseName] = {};
-      }
-      
-      const extension = file.name.split('.').pop().toLowerCase();
-      if (extension === 'json') {
-        fileGroups[baseName].json = file;
-      } else if (['png', 'jpg', 'jpeg'].includes(extension)) {
-        fileGroups[baseName].image = file;
-      } else if (['fits', 'fit'].includes(extension)) {
-        fileGroups[baseName].fits = file;
-      }
-    }
-    
-    console.log('File groups:', Object.keys(fileGroups));
-    
-    // Process each group of files
-    for (const [baseName, fileGroup] of Object.entries(fileGroups)) {
-      console.log(`Processing group: ${baseName}`);
+  // Re-run limb detection on detected images when the method or threshold changes.
+  // Detection runs on the loader workers; the results are merged into the latest images
+  useEffect(() => {
+    let stale = false;
+    const timer = setTimeout(async () => {
+      const detected = Object.entries(imagesRef.current).filter(([, entry]) => entry.paramsSource === 'Detection');
+      if (detected.length === 0) return;
       
-      // Skip if already loaded
-      const existingNames = Object.keys(newImages);
-      const matchingNames = existingNames.filter(name => name.includes(baseName));
-      if (matchingNames.length > 0) {
-        console.log(`Image for ${baseName} already loaded, skipping`);
-        continue;
+      if (!uploadLoaderRef.current) {
+        uploadLoaderRef.current = createUploadLoader();
       }
+      const loader = uploadLoaderRef.current;
+      const options = { assumeCentered: detectionMethod === 'center', contourThreshold };
       
-      try {
-        let imageData, obsTimeData, sunParamsData;
-        let imageName;
-        
-        // Case 1: We have a FITS file
-        if (fileGroup.fits) {
-          console.log(`Processing FITS file: ${fileGroup.fits.name}`);
-          const result = await readFitsFile(fileGroup.fits);
-          imageData = result.image;
-          obsTimeData = result.obsTime;
-          sunParamsData = result.sunParams;
-          imageName = fileGroup.fits.name;
+      const results = await Promise.all(detected.map(async ([name, entry]) => {
+        try {
+          const pixelData = entry.pixelData
+            ? downsamplePixels(entry.pixelData, LIMB_DETECTION_SIZE)
+            : getImagePixels(entry.image, LIMB_DETECTION_SIZE);
+          const result = await loader.detect({ imageWidth: entry.width, imageHeight: entry.height, pixelData }, options);
+          return { name, ...result };
+        } catch (error) {
+          if (!error.cancelled) console.error(`Error re-detecting ${name}:`, error);
+          return null;
         }
-        // Case 2: We have an image file (PNG/JPG)
-        else if (fileGroup.image) {
-          console.log(`Processing image file: ${fileGroup.image.name}`);
-          imageData = await readImageFile(fileGroup.image);
-          obsTimeData = new Date();
-          sunParamsData = null;
-          imageName = fileGroup.image.name;
-          
-          // If we also have a JSON metadata file, apply it
-          if (fileGroup.json) {
-            console.log(`Found metadata file: ${fileGroup.json.name}`);
-            try {
-              const jsonText = await new Promise((resolve, reject) => {
-                const reader = new FileReader();
-                reader.onload = (e) => resolve(e.target.result);
-                reader.onerror = reject;
-                reader.readAsText(fileGroup.json);
-              });
-              
-              const metadata = JSON.parse(jsonText);
-              console.log('Parsed metadata:', metadata);
-              
-              // Extract sun parameters - check both standard and nested formats
-              if (metadata.sun_params) {
-                console.log('Found sun_params in JSON');
-                sunParamsData = metadata.sun_params;
-              } else if (metadata.header) {
-                // Try to extract from FITS header format
-                console.log('Looking for parameters in header section');
-                const header = metadata.header;
-                if (header.FNDLMBXC && header.FNDLMBYC && header.FNDLMBMI && header.FNDLMBMA) {
-                  const cx = parseFloat(header.FNDLMBXC);
-                  const cy = parseFloat(header.FNDLMBYC);
-                  const minorAxis = parseFloat(header.FNDLMBMI);
-                  const majorAxis = parseFloat(header.FNDLMBMA);
-                  const radius = (minorAxis + majorAxis) / 2;  // Average the axes only
-                  
-                  sunParamsData = { cx, cy, radius };
-                  console.log('Extracted sun parameters from header:', sunParamsData);
-                }
-              }
-              
-              // Extract observation time
-              if (metadata.observation_time) {
-                obsTimeData = new Date(metadata.observation_time);
-                console.log('Loaded observation time from JSON:', obsTimeData);
-              } else if (metadata.header && metadata.header['DATE-OBS']) {
-                const dateString = metadata.header['DATE-OBS'];
-                const timeString = metadata.header['TIME-OBS'] || '00:00:00';
-                obsTimeData = new Date(`${dateString}T${timeString}`);
-                console.log('Extracted observation time from header:', obsTimeData);
-              }
-            } catch (error) {
-              console.error('Error parsing JSON metadata:', error);
-            }
+      }));
+      if (stale) return;
+      
+      const updates = results.filter(Boolean);
+      setImages(prevImages => {
+        const updatedImages = { ...prevImages };
+        for (const { name, sunParams, limbFit } of updates) {
+          // Skip images removed or calibrated from another source in the meantime
+          if (prevImages[name] && prevImages[name].paramsSource === 'Detection') {
+            updatedImages[name] = { ...prevImages[name], sunParams, limbFit };
           }
         }
-        // No suitable file found
-        else {
-          console.log(`No suitable image file found for ${baseName}, skipping`);
-          continue;
-        }
-        
-        if (!imageData) {
-          console.error('No image data returned for', baseName);
-          continue;
-        }
-        
-        // Store the image data
-        newImages[imageName] = {
-          image: imageData,
-          obsTime: obsTimeData,
-          width: imageData.width,
-          height: imageData.height,
-          sunParams: sunParamsData
-        };
-        
-        console.log('Added to images collection:', imageName);
-        
-        // If we don't have sun parameters from FITS or JSON, calculate them
-        if (!newImages[imageName].sunParams) {
-          console.log('Calculating sun parameters...');
-          const { cx, cy, radius } = determineImageCenterAndRadius(
-            imageData,
-            detectionMethod === 'center',
-            contourThreshold
-          );
-          newImages[imageName].sunParams = { cx, cy, radius };
-          console.log('Sun parameters calculated:', cx, cy, radius);
-        }
-        
-        newLoaded = true;
-      } catch (error) {
-        console.error(`Error processing ${baseName}:`, error);
+        return updatedImages;
+      });
+      console.log('Re-detected sun parameters for', updates.length, 'image(s)');
+    }, 300);
+    
+    return () => {
+      stale = true;
+      clearTimeout(timer);
+    };
+  }, [detectionMethod, contourThreshold]);
+  
+  // Handle file upload: files are decoded and analysed on the loader workers
+  const handleFileUpload = async (files, onProgress = () => {}) => {
+    console.log('handleFileUpload called with files:', files.length);
+    
+    // Skip images that are already loaded
+    const existingNames = Object.keys(images);
+    const tasks = groupUploadFiles(files).filter(task => {
+      if (existingNames.some(name => name.includes(task.baseName))) {
+        console.log(`Image for ${task.baseName} already loaded, skipping`);
+        return false;
       }
+      return true;
+    });
+    
+    // Outcome per file, reported back to the upload panel
+    const results = [];
+    if (tasks.length === 0) return results;
+    
+    if (!uploadLoaderRef.current) {
+      uploadLoaderRef.current = createUploadLoader();
     }
+    const loader = uploadLoaderRef.current;
+    const options = {
+      forceFitsData,
+      assumeCentered: detectionMethod === 'center',
+      contourThreshold
+    };
     
-    // Second pass: Process any files that weren't in a group
-    for (const file of files) {
-      const baseName = file.name.split('.').slice(0, -1).join('.');
-      const extension = file.name.split('.').pop().toLowerCase();
-      
-      // Skip JSON files and files that were already processed in groups
-      if (extension === 'json' || (fileGroups[baseName] && 
-          (fileGroups[baseName].image || fileGroups[baseName].fits))) {
-        continue;
-      }
-      
-      // Skip if this file was already processed
-      if (newImages[file.name]) {
-        continue;
-      }
-      
-      // Process file individually if it wasn't part of a group
+    const newImages = {};
+    let done = 0;
+    onProgress({ done, total: tasks.length, current: null });
+    
+    await Promise.all(tasks.map(async (task) => {
       try {
-        const isFits = ['fits', 'fit'].includes(extension);
-        let imageData, obsTimeData, sunParamsData;
+        const result = await loader.load(task, options);
+        const image = await readImageFile(result.displayBlob || task.file);
         
-        if (isFits) {
-          console.log('Processing individual FITS file...');
-          const result = await readFitsFile(file);
-          imageData = result.image;
-          obsTimeData = result.obsTime;
-          sunParamsData = result.sunParams;
-        } else if (['png', 'jpg', 'jpeg'].includes(extension)) {
-          console.log('Processing individual image file...');
-          imageData = await readImageFile(file);
-          obsTimeData = new Date();
-          sunParamsData = null;
-        } else {
-          console.log(`Skipping unsupported file type: ${file.name}`);
-          continue;
-        }
-        
-        if (!imageData) {
-          console.error('No image data returned for', file.name);
-          continue;
+        if (!result.obsTime) {
+          console.warn(`No observation time for ${task.name}; set it in the timeline`);
         }
         
-        // Store the image data
-        newImages[file.name] = {
-          image: imageData,
-          obsTime: obsTimeData,
-          width: imageData.width,
-          height: imageData.height,
-          sunParams: isFits && sunParamsData && forceFitsData ? sunParamsData : null
+        newImages[task.name] = {
+          image,
+          file: task.file,
+          obsTime: result.obsTime,
+          timeSource: result.timeSource,
+          width: result.width,
+          height: result.height,
+          sunParams: result.sunParams,
+          paramsSource: result.paramsSource,
+          limbFit: result.limbFit,
+          header: result.header,
+          observer: getObserverFromHeader(result.header),
+          calibration: { ...DEFAULT_CALIBRATION },
+          pixelData: result.pixelData,
+          thumbnail: result.thumbnail
         };
-        
-        console.log('Added to images collection:', file.name);
-        
-        // If we don't have sun parameters from FITS, calculate them
-        if (!newImages[file.name].sunParams) {
-          console.log('Calculating sun parameters...');
-          const { cx, cy, radius } = determineImageCenterAndRadius(
-            imageData,
-            detectionMethod === 'center',
-            contourThreshold
-          );
-          newImages[file.name].sunParams = { cx, cy, radius };
-          console.log('Sun parameters calculated:', cx, cy, radius);
-        }
-        
-        newLoaded = true;
+        results.push({ name: task.name, status: 'loaded', thumbnail: result.thumbnail });
+        console.log('Loaded', task.name, 'sun parameters:', result.sunParams, `(${result.paramsSource})`);
       } catch (error) {
-        console.error(`Error processing ${file.name}:`, error);
+        if (error.cancelled) {
+          results.push({ name: task.name, status: 'cancelled' });
+        } else {
+          console.error(`Error processing ${task.name}:`, error);
+          results.push({ name: task.name, status: 'error', message: error.message || String(error) });
+        }
+      } finally {
+        done += 1;
+        onProgress({ done, total: tasks.length, current: task.name });
       }
-    }
+    }));
     
-    if (newLoaded) {
+    if (Object.keys(newImages).length > 0) {
       console.log('Setting new images and updating UI...');
-      setImages(newImages);
-      const newSortedFilenames = Object.keys(newImages).sort();
-      console.log('New sorted filenames:', newSortedFilenames);
-      setSortedFilenames(newSortedFilenames);
+      // Merge into the latest state: edits made while the workers ran must survive.
+      // The sequence is re-sorted by the effect below once the merge has landed
+      resortPendingRef.current = true;
+      setImages(prev => ({ ...prev, ...newImages }));
       setCurrentImageIndex(0);
-      console.log('UI updated');
     } else {
       console.log('No new images were loaded');
     }
+    return results;
+  };
+  
+  // Re-sort the sequence after an upload merge, from the merged images
+  useEffect(() => {
+    if (!resortPendingRef.current) return;
+    resortPendingRef.current = false;
+    setSortedFilenames(sortFilenamesByTime(images));
+  }, [images]);
+  
+  // Set observation times by hand ({filename: Date}); the sequence is re-sorted
+  // and measurements on those images are recomputed for the new time
+  const handleSetObservationTimes = (times) => {
+    const names = Object.keys(times);
+    if (names.length === 0) return;
+    
+    const updatedImages = { ...images };
+    for (const name of names) {
+      updatedImages[name] = { ...updatedImages[name], obsTime: times[name], timeSource: 'Manual' };
+    }
+    const currentName = sortedFilenames[currentImageIndex];
+    const newSortedFilenames = sortFilenamesByTime(updatedImages);
+    setImages(updatedImages);
+    setSortedFilenames(newSortedFilenames);
+    setCurrentImageIndex(Math.max(0, newSortedFilenames.indexOf(currentName)));
+    // The selection's coordinates were computed for the old time
+    if (times[currentName]) {
+      setCurrentSelection(null);
+      setSelectionCoords(null);
+      setHeliographicCoords(null);
+      setDistanceFromCenter(null);
+    }
+    
+    setMeasurements(prev => prev.map(m => {
+      const entry = updatedImages[m.image];
+      if (!times[m.image] || !Number.isFinite(m.pixelX) || !Number.isFinite(m.pixelY)) return m;
+      const hg = pixelToHeliographic(
+        m.pixelX,
+        m.pixelY,
+        applyCalibration(entry.sunParams, entry.calibration),
+        resolveObserver(entry.obsTime, entry.observer)
+      );
+      return {
+        ...m,
+        observationTime: entry.obsTime.toISOString(),
+        stonyhurstLongitude: hg.longitude,
+        carringtonLongitude: hg.carringtonLongitude,
+        helioLatitude: hg.latitude
+      };
+    }));
+  };
+  
+  // Stop loading the current upload; images already loaded are kept
+  const handleCancelUpload = () => {
+    if (uploadLoaderRef.current) {
+      uploadLoaderRef.current.cancel();
+    }
   };
   
   // Handle click on image
@@ -413,30 +463,314 @@ export default function Home() {
     if (animationRunning || !currentImage) return;
     
     const stage = e.target.getStage();
-    const { x, y } = stage.getPointerPosition();
+    const { x, y } = stage.getRelativePointerPosition();
     
-    if (selectionMode === 'point') {
-      // For point selection, just use the coordinates
-      handleSelectionMade({ x, y, width: 1, height: 1 });
-    } else {
-      // For rect selection, let's start drawing a rectangle
-      // This would be handled by Konva's transformer or a custom implementation
-      // For simplicity, we'll just create a small rectangle around the click point
-      const rect = {
-        x: x - 10,
-        y: y - 10,
-        width: 20,
-        height: 20
-      };
-      handleSelectionMade(rect);
+    if (selectionMode === 'limb') {
+      handleAddLimbPoint({ x, y });
+      return;
+    }
+    
+    // Rectangles are drawn by dragging (see the mouse handlers below)
+    if (selectionMode !== 'point') return;
+    
+    // For point selection, just use the coordinates
+    handleSelectionMade({ x, y, width: 1, height: 1 });
+  };
+  
+  // Store manually fitted disk geometry (original pixels) as the current image's sunParams
+  const setManualSunParams = (params, points) => {
+    const name = sortedFilenames[currentImageIndex];
+    if (!name) return;
+    
+    let limbFit = null;
+    if (points.length >= 3) {
+      const residuals = points.map(p => Math.hypot(p.x - params.cx, p.y - params.cy) - params.radius);
+      const rms = Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / residuals.length);
+      limbFit = { rms, inliers: points.length, total: points.length };
+    }
+    
+    setImages(prevImages => ({
+      ...prevImages,
+      [name]: {
+        ...prevImages[name],
+        sunParams: params,
+        paramsSource: 'Limb Fit',
+        limbFit,
+        // The fit replaces any circle calibration
+        calibration: { ...DEFAULT_CALIBRATION }
+      }
+    }));
+    console.log('Manual limb fit:', params, limbFit);
+  };
+  
+  // Least-squares circle through the clicked points (no outlier rejection: every point was chosen)
+  const fitLimbPoints = (points) => {
+    if (points.length < 3) return;
+    const fit = fitCircle(points, { maxIterations: 0 });
+    if (!fit) {
+      console.warn('Limb points are collinear; cannot fit a circle');
+      return;
+    }
+    setManualSunParams({ cx: fit.cx, cy: fit.cy, radius: fit.radius }, points);
+  };
+  
+  const handleAddLimbPoint = (displayPoint) => {
+    const points = [...limbPoints, { x: displayPoint.x / imageScale, y: displayPoint.y / imageScale }];
+    setLimbPoints(points);
+    fitLimbPoints(points);
+  };
+  
+  const handleUndoLimbPoint = () => {
+    const points = limbPoints.slice(0, -1);
+    setLimbPoints(points);
+    fitLimbPoints(points);
+  };
+  
+  // Circle moved or resized with its handles (display coordinates)
+  const handleLimbCircleChange = (circle) => {
+    setManualSunParams({
+      cx: circle.cx / imageScale,
+      cy: circle.cy / imageScale,
+      radius: circle.radius / imageScale
+    }, limbPoints);
+  };
+  
+  const handleStageMouseLeave = () => {
+    if (hoverFrameRef.current) {
+      cancelAnimationFrame(hoverFrameRef.current);
+      hoverFrameRef.current = null;
+    }
+    setHoverPoint(null);
+  };
+  
+  // Coordinates under the cursor on the calibrated disk
+  const hoverInfo = useMemo(() => {
+    if (!hoverPoint || !observer || !calibratedSunParams.radius) return null;
+    const pixel = { x: hoverPoint.x / imageScale, y: hoverPoint.y / imageScale };
+    return { pixel, ...pixelToHeliographic(pixel.x, pixel.y, calibratedSunParams, observer) };
+  }, [hoverPoint, observer, calibratedSunParams, imageScale]);
+  
+  // The loupe follows the cursor, falling back to the selected point
+  const loupeCenter = hoverInfo ? hoverInfo.pixel : (selectionCoords ? selectionCoords.original : null);
+  
+  // Show the image a measurement was made on and mark its position
+  const handleJumpToMeasurement = (measurement) => {
+    const index = sortedFilenames.indexOf(measurement.image);
+    if (index < 0) {
+      console.warn('Image not loaded:', measurement.image);
+      return;
     }
+    setAnimationRunning(false);
+    setCurrentImageIndex(index);
+    setHighlightedMeasurementId(measurement.id);
   };
   
-  // Handle when a selection is made
-  const handleSelectionMade = (selection) => {
-    // Calculate the center of the selection
-    const selX = selection.x + (selection.width / 2);
-    const selY = selection.y + (selection.height / 2);
+  // Display position of the highlighted measurement when its image is shown
+  const highlightPoint = useMemo(() => {
+    const measurement = measurements.find(m => m.id === highlightedMeasurementId);
+    if (!measurement || measurement.image !== sortedFilenames[currentImageIndex]) return null;
+    
+    if (Number.isFinite(measurement.pixelX) && Number.isFinite(measurement.pixelY)) {
+      return { x: measurement.pixelX * imageScale, y: measurement.pixelY * imageScale };
+    }
+    // Imported records may lack pixel positions; project their coordinates instead
+    if (!observer || !calibratedSunParams.radius) return null;
+    const projected = heliographicToPixel(
+      measurement.stonyhurstLongitude,
+      measurement.helioLatitude,
+      calibratedSunParams,
+      observer
+    );
+    return projected.visible ? { x: projected.x * imageScale, y: projected.y * imageScale } : null;
+  }, [measurements, highlightedMeasurementId, sortedFilenames, currentImageIndex, imageScale, observer, calibratedSunParams]);
+  
+  // Heliographic grid in display coordinates for the current image
+  const heliographicGrid = useMemo(() => {
+    if (!showGrid || !observer || !adjustedSunParams.radius) return null;
+    try {
+      return buildHeliographicGrid(adjustedSunParams, observer, { spacing: gridSpacing, coordinateSystem });
+    } catch (error) {
+      console.error('Error building heliographic grid:', error);
+      return null;
+    }
+  }, [showGrid, observer, adjustedSunParams, gridSpacing, coordinateSystem]);
+  
+  // Recorded measurements and rotated positions of labelled features, in display coordinates
+  const measurementOverlay = useMemo(() => {
+    if (!showMeasurementMarkers || measurements.length === 0) return null;
+    try {
+      return buildMeasurementOverlay({
+        measurements,
+        imageName: sortedFilenames[currentImageIndex],
+        obsTime,
+        sunParams: adjustedSunParams,
+        observer,
+        imageScale,
+        includeGhosts: showGhostMarkers
+      });
+    } catch (error) {
+      console.error('Error building measurement overlay:', error);
+      return null;
+    }
+  }, [showMeasurementMarkers, showGhostMarkers, measurements, sortedFilenames, currentImageIndex, obsTime, adjustedSunParams, observer, imageScale]);
+  
+  // Processed rendering of the current image; measurements keep using the stored pixels
+  useEffect(() => {
+    const name = sortedFilenames[currentImageIndex];
+    const entry = images[name];
+    if (!enhancement.enabled || !entry || animationRunning) {
+      setEnhancedImage(null);
+      return;
+    }
+    
+    // Let slider drags settle before reprocessing
+    const timer = setTimeout(() => {
+      try {
+        const disk = calibratedSunParams.radius ? calibratedSunParams : null;
+        setEnhancedImage({ name, ...renderEnhancedImage(getAnalysisPixels(entry), disk, enhancement) });
+      } catch (error) {
+        console.error('Error processing image:', error);
+        setEnhancedImage(null);
+      }
+    }, 150);
+    return () => clearTimeout(timer);
+  }, [enhancement, images, sortedFilenames, currentImageIndex, calibratedSunParams, animationRunning]);
+  
+  const processedImage = enhancedImage && enhancedImage.name === sortedFilenames[currentImageIndex]
+    ? enhancedImage
+    : null;
+  
+  // Signed distance of each limb point from the current circle (original pixels)
+  const limbResiduals = calibratedSunParams.radius
+    ? limbPoints.map(p => Math.hypot(p.x - calibratedSunParams.cx, p.y - calibratedSunParams.cy) - calibratedSunParams.radius)
+    : [];
+  
+  // Start drawing a rectangle, unless the press is on the existing rectangle or its handles
+  const handleStageMouseDown = (e) => {
+    if (animationRunning || !currentImage || selectionMode !== 'rect') return;
+    
+    const targetName = e.target.name();
+    if (e.target !== e.target.getStage() && targetName !== 'sunImage') return;
+    
+    const { x, y } = e.target.getStage().getRelativePointerPosition();
+    drawStartRef.current = { x, y };
+    setIsDrawing(true);
+    setCurrentSelection({ x, y, width: 0, height: 0 });
+  };
+  
+  const handleStageMouseMove = (e) => {
+    const pointer = e.target.getStage().getRelativePointerPosition();
+    if (!pointer) return;
+    
+    // Update the cursor readout at most once per animation frame
+    if (!hoverFrameRef.current) {
+      hoverFrameRef.current = requestAnimationFrame(() => {
+        hoverFrameRef.current = null;
+        setHoverPoint({ x: pointer.x, y: pointer.y });
+      });
+    }
+    
+    if (!isDrawing || !drawStartRef.current) return;
+    
+    const { x, y } = pointer;
+    const start = drawStartRef.current;
+    setCurrentSelection({
+      x: Math.min(start.x, x),
+      y: Math.min(start.y, y),
+      width: Math.abs(x - start.x),
+      height: Math.abs(y - start.y)
+    });
+  };
+  
+  // Finish drawing (also called when the pointer leaves the stage mid-drag)
+  const handleStageMouseUp = () => {
+    if (!isDrawing || !drawStartRef.current) return;
+    
+    const start = drawStartRef.current;
+    drawStartRef.current = null;
+    setIsDrawing(false);
+    
+    // A plain click (no real drag) gets a small box around the click point
+    let rect = currentSelection;
+    if (!rect || (rect.width < 4 && rect.height < 4)) {
+      rect = { x: start.x - 10, y: start.y - 10, width: 20, height: 20 };
+    }
+    
+    handleSelectionMade(rect);
+  };
+  
+  // Locate the point to measure inside a rectangle (display coordinates)
+  const measureInRectangle = (selection) => {
+    const boxCenter = {
+      x: selection.x + (selection.width / 2),
+      y: selection.y + (selection.height / 2)
+    };
+    if (rectMeasureMode === 'center') return { point: boxCenter, stats: null };
+    
+    const entry = images[sortedFilenames[currentImageIndex]];
+    const feature = findFeatureCentroid(getAnalysisPixels(entry), {
+      x: selection.x / imageScale,
+      y: selection.y / imageScale,
+      width: selection.width / imageScale,
+      height: selection.height / imageScale
+    });
+    if (!feature) return { point: boxCenter, stats: null };
+    
+    const point = rectMeasureMode === 'darkest' ? feature.darkest : feature.centroid;
+    console.log('Feature in rectangle:', feature);
+    return {
+      point: { x: point.x * imageScale, y: point.y * imageScale },
+      stats: { contrast: feature.contrast }
+    };
+  };
+  
+  // Detect dark features on the current image and propose them as candidates
+  const handleDetectSunspots = () => {
+    const entry = images[sortedFilenames[currentImageIndex]];
+    if (!entry || !calibratedSunParams.radius) return;
+    
+    try {
+      const candidates = detectSunspots(getAnalysisPixels(entry), calibratedSunParams, {
+        contrastThreshold: spotContrast
+      });
+      console.log('Detected sunspot candidates:', candidates);
+      setFeatureCandidates(candidates);
+    } catch (error) {
+      console.error('Error detecting sunspots:', error);
+      setFeatureCandidates([]);
+    }
+  };
+  
+  // Select a detected candidate: measure at its centroid with area and contrast filled in
+  const handleCandidateSelect = (candidate) => {
+    if (animationRunning) return;
+    
+    const point = { x: candidate.x * imageScale, y: candidate.y * imageScale };
+    const selection = selectionMode === 'rect'
+      ? {
+          x: candidate.bbox.x * imageScale,
+          y: candidate.bbox.y * imageScale,
+          width: candidate.bbox.width * imageScale,
+          height: candidate.bbox.height * imageScale
+        }
+      : { x: point.x, y: point.y, width: 1, height: 1 };
+    
+    handleSelectionMade(selection, {
+      point,
+      stats: { areaMsh: candidate.areaMsh, areaPixels: candidate.area, contrast: candidate.contrast }
+    });
+  };
+  
+  // Handle when a selection is made; `measured` overrides where it is measured
+  const handleSelectionMade = (selection, measured = null) => {
+    // Point selections are measured where clicked; rectangles at the feature inside them
+    let measurement = measured;
+    if (!measurement) {
+      measurement = selectionMode === 'rect'
+        ? measureInRectangle(selection)
+        : { point: { x: selection.x + (selection.width / 2), y: selection.y + (selection.height / 2) }, stats: null };
+    }
+    const { x: selX, y: selY } = measurement.point;
     
     console.log('Selection at', selX, selY);
     console.log('Sun parameters:', adjustedSunParams);
@@ -458,7 +792,7 @@ export default function Home() {
       setSelectionCoords(null);
       setHeliographicCoords(null);
       setDistanceFromCenter(null);
-      setZoomedRegion(null);
+      setFeatureStats(null);
       return;
     }
     
@@ -468,66 +802,198 @@ export default function Home() {
     
     console.log('Original coordinates:', origX, origY);
     
-    // Calculate heliographic coordinates
-    const { longitude, latitude } = calculateHeliographicCoordinates(
+    // Calculate heliographic coordinates on the calibrated disk
+    const coords = calculateHeliographicCoordinates(
       origX, origY,
-      sunParams.cx, sunParams.cy,
-      sunParams.radius,
-      obsTime
+      calibratedSunParams.cx, calibratedSunParams.cy,
+      calibratedSunParams.radius,
+      obsTime,
+      images[sortedFilenames[currentImageIndex]]?.observer
     );
     
-    console.log('Heliographic coordinates:', longitude, latitude);
+    console.log('Heliographic coordinates:', coords);
     
     // Calculate distance from center
-    const dist = Math.hypot(origX - sunParams.cx, origY - sunParams.cy);
-    const distPercent = (dist / sunParams.radius) * 100;
+    const dist = Math.hypot(origX - calibratedSunParams.cx, origY - calibratedSunParams.cy);
+    const distPercent = (dist / calibratedSunParams.radius) * 100;
     
     // Set selection state
     setCurrentSelection(selection);
     setSelectionCoords({ display: { x: selX, y: selY }, original: { x: origX, y: origY } });
-    setHeliographicCoords({ longitude, latitude });
+    setHeliographicCoords(coords);
     setDistanceFromCenter({ pixels: dist, percent: distPercent });
-    
-    // Create zoomed region
-    createZoomedRegion(origX, origY);
+    setFeatureStats(measurement.stats);
   };
   
-  // Create zoomed region from selection
-  const createZoomedRegion = (centerX, centerY) => {
-    if (!currentImage) return;
+  // Record a measurement
+  const recordMeasurement = () => {
+    if (!selectionCoords || !heliographicCoords || !distanceFromCenter) return;
+    // Without an observation time B0, P and L0 are today's values, not the image's
+    if (observer && observer.estimated) {
+      console.warn('Not recording: no observation time for', sortedFilenames[currentImageIndex]);
+      return;
+    }
     
-    console.log('Creating zoomed region at', centerX, centerY);
+    const measurement = createMeasurement({
+      image: sortedFilenames[currentImageIndex],
+      obsTime,
+      pixel: selectionCoords.original,
+      coords: heliographicCoords,
+      sunParams: calibratedSunParams,
+      label: featureLabel,
+      stats: featureStats
+    });
     
-    // Extract and zoom a region of the image
-    const zoomed = extractZoomRegion(
-      currentImage,
-      centerX, centerY,
-      zoomSize,
-      zoomFactor
-    );
+    setMeasurements([...measurements, measurement]);
+    setFeatureLabel('');
     
-    setZoomedRegion(zoomed);
+    console.log('Measurement recorded:', measurement);
   };
   
-  // Record a measurement
-  const recordMeasurement = () => {
-    if (!selectionCoords || !heliographicCoords || !distanceFromCenter) return;
+  // Record a position picked on the Carrington map, measured on the image that sees it closest to disk center
+  const handleSynopticMeasure = ({ carringtonLongitude, latitude }, names) => {
+    const frames = names
+      .filter(name => images[name] && images[name].sunParams)
+      .map(name => ({
+        name,
+        sunParams: applyCalibration(images[name].sunParams, images[name].calibration),
+        observer: resolveObserver(images[name].obsTime, images[name].observer)
+      }));
+    const best = bestFrameForPosition(frames, carringtonLongitude, latitude);
+    if (!best) {
+      console.log('Map position not visible on any image:', carringtonLongitude, latitude);
+      return;
+    }
     
-    const measurement = {
-      image: sortedFilenames[currentImageIndex],
-      observationTime: obsTime ? obsTime.toISOString() : 'Unknown',
-      pixelX: selectionCoords.original.x,
-      pixelY: selectionCoords.original.y,
-      helioLongitude: heliographicCoords.longitude,
-      helioLatitude: heliographicCoords.latitude,
-      distancePercent: distanceFromCenter.percent,
+    const entry = images[best.name];
+    const measurement = createMeasurement({
+      image: best.name,
+      obsTime: entry.obsTime,
+      pixel: best.pixel,
+      coords: { stonyhurstLongitude: best.stonyhurstLongitude, carringtonLongitude, latitude },
+      sunParams: frames.find(frame => frame.name === best.name).sunParams,
       label: featureLabel
-    };
+    });
     
     setMeasurements([...measurements, measurement]);
     setFeatureLabel('');
     
-    console.log('Measurement recorded:', measurement);
+    console.log('Measurement recorded from map:', measurement);
+  };
+  
+  // Track a labelled feature through the rest of the sequence and record the matches
+  const handleTrackFeature = (label, direction) => {
+    const getFrame = (name) => {
+      const entry = images[name];
+      if (!entry || !entry.sunParams) return null;
+      return {
+        obsTime: entry.obsTime,
+        sunParams: applyCalibration(entry.sunParams, entry.calibration),
+        observer: resolveObserver(entry.obsTime, entry.observer),
+        pixelData: getAnalysisPixels(entry)
+      };
+    };
+    
+    try {
+      const result = trackFeature({ label, measurements, sortedFilenames, direction, getFrame });
+      console.log(`Tracked ${label} ${direction}:`, result.report);
+      if (result.measurements.length > 0) {
+        setMeasurements([...measurements, ...result.measurements]);
+      }
+      return result.report;
+    } catch (error) {
+      console.error('Error tracking feature:', error);
+      return [];
+    }
+  };
+  
+  // Adjust the circle calibration of the current image only
+  const handleCalibrationChange = (changes) => {
+    const name = sortedFilenames[currentImageIndex];
+    if (!name) return;
+    setImages(prevImages => ({
+      ...prevImages,
+      [name]: {
+        ...prevImages[name],
+        calibration: { ...DEFAULT_CALIBRATION, ...prevImages[name].calibration, ...changes }
+      }
+    }));
+  };
+  
+  const handleApplyCalibrationToAll = () => {
+    const calibration = { ...currentCalibration };
+    setImages(prevImages => Object.fromEntries(
+      Object.entries(prevImages).map(([name, entry]) => [name, { ...entry, calibration: { ...calibration } }])
+    ));
+    console.log('Applied calibration to all images:', calibration);
+  };
+  
+  const handleCopyCalibrationFromPrevious = () => {
+    const previous = images[sortedFilenames[currentImageIndex - 1]];
+    if (!previous) return;
+    handleCalibrationChange({ ...DEFAULT_CALIBRATION, ...previous.calibration });
+  };
+  
+  // Snapshot of everything a session stores
+  const getSessionData = () => ({
+    images,
+    sortedFilenames,
+    measurements,
+    settings: {
+      forceFitsData,
+      detectionMethod,
+      contourThreshold,
+      showSunBoundary,
+      showGrid,
+      gridSpacing,
+      showMeasurementMarkers,
+      showGhostMarkers,
+      enhancement,
+      disableBoundaryCheck,
+      selectionMode,
+      rectMeasureMode,
+      coordinateSystem,
+      spotContrast,
+      animationMode,
+      derotationReference,
+      derotationProfile
+    }
+  });
+  
+  // Replace the current work with a restored session
+  const handleRestoreSession = (session) => {
+    const { settings } = session;
+    const settingSetters = {
+      forceFitsData: setForceFitsData,
+      detectionMethod: setDetectionMethod,
+      contourThreshold: setContourThreshold,
+      showSunBoundary: setShowSunBoundary,
+      showGrid: setShowGrid,
+      gridSpacing: setGridSpacing,
+      showMeasurementMarkers: setShowMeasurementMarkers,
+      showGhostMarkers: setShowGhostMarkers,
+      enhancement: (value) => setEnhancement({ ...DEFAULT_ENHANCEMENT, ...value }),
+      disableBoundaryCheck: setDisableBoundaryCheck,
+      selectionMode: setSelectionMode,
+      rectMeasureMode: setRectMeasureMode,
+      coordinateSystem: setCoordinateSystem,
+      spotContrast: setSpotContrast,
+      animationMode: setAnimationMode,
+      derotationReference: setDerotationReference,
+      derotationProfile: setDerotationProfile
+    };
+    for (const [key, setter] of Object.entries(settingSetters)) {
+      if (settings[key] !== undefined) setter(settings[key]);
+    }
+    
+    setAnimationRunning(false);
+    setImages(session.images);
+    setSortedFilenames(session.sortedFilenames);
+    measurementHistory.reset(session.measurements);
+    setHighlightedMeasurementId(null);
+    setCurrentImageIndex(0);
+    if (session.sortedFilenames.length === 0) setCurrentImage(null);
+    console.log('Session restored:', session.name);
   };
   
   return (
@@ -544,32 +1010,81 @@ export default function Home() {
         <SidebarControls 
           forceFitsData={forceFitsData}
           setForceFitsData={setForceFitsData}
-          radiusCorrection={radiusCorrection}
-          setRadiusCorrection={setRadiusCorrection}
-          centerXOffset={centerXOffset}
-          setCenterXOffset={setCenterXOffset}
-          centerYOffset={centerYOffset}
-          setCenterYOffset={setCenterYOffset}
+          calibration={currentCalibration}
+          onCalibrationChange={handleCalibrationChange}
+          onApplyCalibrationToAll={handleApplyCalibrationToAll}
+          onCopyCalibrationFromPrevious={handleCopyCalibrationFromPrevious}
           selectionMode={selectionMode}
           setSelectionMode={setSelectionMode}
+          rectMeasureMode={rectMeasureMode}
+          setRectMeasureMode={setRectMeasureMode}
+          limbPointCount={limbPoints.length}
+          limbResiduals={limbResiduals}
+          onUndoLimbPoint={handleUndoLimbPoint}
+          onClearLimbPoints={() => setLimbPoints([])}
+          coordinateSystem={coordinateSystem}
+          setCoordinateSystem={setCoordinateSystem}
           detectionMethod={detectionMethod}
           setDetectionMethod={setDetectionMethod}
           contourThreshold={contourThreshold}
           setContourThreshold={setContourThreshold}
           showSunBoundary={showSunBoundary}
           setShowSunBoundary={setShowSunBoundary}
+          showGrid={showGrid}
+          setShowGrid={setShowGrid}
+          gridSpacing={gridSpacing}
+          setGridSpacing={setGridSpacing}
+          showMeasurementMarkers={showMeasurementMarkers}
+          setShowMeasurementMarkers={setShowMeasurementMarkers}
+          showGhostMarkers={showGhostMarkers}
+          setShowGhostMarkers={setShowGhostMarkers}
+          spotContrast={spotContrast}
+          setSpotContrast={setSpotContrast}
+          onDetectSunspots={handleDetectSunspots}
+          onClearCandidates={() => setFeatureCandidates([])}
+          candidateCount={featureCandidates.length}
           disableBoundaryCheck={disableBoundaryCheck}
           setDisableBoundaryCheck={setDisableBoundaryCheck}
           animationRunning={animationRunning}
           setAnimationRunning={setAnimationRunning}
           animationSpeed={animationSpeed}
+          animationMode={animationMode}
+          setAnimationMode={setAnimationMode}
+          derotationReference={derotationReference}
+          setDerotationReference={setDerotationReference}
+          derotationProfile={derotationProfile}
+          setDerotationProfile={setDerotationProfile}
           setAnimationSpeed={setAnimationSpeed}
           currentImageIndex={currentImageIndex}
           setCurrentImageIndex={setCurrentImageIndex}
           totalImages={sortedFilenames.length}
         />
         
-        <UploadPanel onFileUpload={handleFileUpload} />
+        <EnhancementPanel
+          settings={enhancement}
+          onChange={setEnhancement}
+          limbFit={processedImage ? processedImage.limbFit : null}
+          hasDisk={Boolean(calibratedSunParams.radius)}
+        />
+        
+        <UploadPanel onFileUpload={handleFileUpload} onCancelUpload={handleCancelUpload} />
+        
+        <SessionPanel
+          getSessionData={getSessionData}
+          onRestore={handleRestoreSession}
+        />
+        
+        <MovieExportPanel
+          images={images}
+          sortedFilenames={sortedFilenames}
+          measurements={measurements}
+          animationSpeed={animationSpeed}
+          coordinateSystem={coordinateSystem}
+          gridSpacing={gridSpacing}
+          showSunBoundary={showSunBoundary}
+          showGrid={showGrid}
+          showMeasurementMarkers={showMeasurementMarkers}
+        />
       </div>
       
       {/* Main content */}
@@ -581,22 +1096,79 @@ export default function Home() {
               ? `Current Image: ${sortedFilenames[currentImageIndex]}`
               : 'No image selected'}
           </h2>
+          <TimelineScrubber
+            images={images}
+            sortedFilenames={sortedFilenames}
+            currentImageIndex={currentImageIndex}
+            onSelectIndex={(index) => {
+              setAnimationRunning(false);
+              setCurrentImageIndex(index);
+            }}
+            onEditTimes={setTimeDialogNames}
+          />
         </header>
         
+        {timeDialogNames && (
+          <ObservationTimeDialog
+            names={timeDialogNames}
+            images={images}
+            onApply={(times) => {
+              handleSetObservationTimes(times);
+              setTimeDialogNames(null);
+            }}
+            onClose={() => setTimeDialogNames(null)}
+          />
+        )}
+        
         {/* Main content split */}
         <div className="flex-1 flex overflow-hidden">
           {/* Left panel - Image display */}
           <div className="w-2/3 p-4 overflow-auto">
+            {currentImage && (
+              <div className="flex mb-3 border-b">
+                <button
+                  className={`px-4 py-2 ${viewMode === 'disk' ? 'border-b-2 border-blue-500' : ''}`}
+                  onClick={() => setViewMode('disk')}
+                >
+                  Disk
+                </button>
+                <button
+                  className={`px-4 py-2 ${viewMode === 'synoptic' ? 'border-b-2 border-blue-500' : ''}`}
+                  onClick={() => setViewMode('synoptic')}
+                >
+                  Carrington Map
+                </button>
+              </div>
+            )}
             {currentImage ? (
-              animationRunning ? (
-                <img 
-                  src={currentImage.src} 
-                  alt="Solar image" 
-                  style={{ 
-                    maxWidth: '800px',
-                    border: '1px solid #ccc'
-                  }} 
+              viewMode === 'synoptic' ? (
+                <SynopticMapView
+                  images={images}
+                  sortedFilenames={sortedFilenames}
+                  currentImageIndex={currentImageIndex}
+                  measurements={measurements}
+                  onMeasure={handleSynopticMeasure}
                 />
+              ) : animationRunning ? (
+                animationMode === 'raw' ? (
+                  <img 
+                    src={currentImage.src} 
+                    alt="Solar image" 
+                    style={{ 
+                      maxWidth: '800px',
+                      border: '1px solid #ccc'
+                    }} 
+                  />
+                ) : (
+                  <AlignedAnimationView
+                    images={images}
+                    sortedFilenames={sortedFilenames}
+                    currentImageIndex={currentImageIndex}
+                    derotate={animationMode === 'derotated'}
+                    reference={derotationReference}
+                    profileIndex={derotationProfile}
+                  />
+                )
               ) : (
                 <div style={{ position: 'relative' }}>
                   <KonvaComponents
@@ -607,8 +1179,41 @@ export default function Home() {
                     sunParams={adjustedSunParams}
                     currentSelection={currentSelection}
                     selectionMode={selectionMode}
+                    measuredPoint={selectionCoords ? selectionCoords.display : null}
+                    isDrawing={isDrawing}
                     onStageClick={handleStageClick}
+                    onStageMouseDown={handleStageMouseDown}
+                    onStageMouseMove={handleStageMouseMove}
+                    onStageMouseUp={handleStageMouseUp}
+                    onStageMouseLeave={handleStageMouseLeave}
+                    onSelectionChange={handleSelectionMade}
+                    featureCandidates={featureCandidates}
+                    candidateScale={imageScale}
+                    onCandidateSelect={handleCandidateSelect}
+                    limbPoints={limbPoints.map(p => ({ x: p.x * imageScale, y: p.y * imageScale }))}
+                    onLimbCircleChange={handleLimbCircleChange}
+                    heliographicGrid={heliographicGrid}
+                    imageScale={imageScale}
+                    highlightPoint={highlightPoint}
+                    measurementOverlay={measurementOverlay}
+                    processedImage={processedImage ? processedImage.canvas : null}
                   />
+                  
+                  {/* Live loupe and coordinate readout under the cursor */}
+                  <div className="flex mt-3 space-x-4" style={{ maxWidth: `${displayDimensions.width}px` }}>
+                    <div className="w-48 flex-shrink-0">
+                      <ZoomViewer
+                        image={currentImage}
+                        center={loupeCenter}
+                        zoomSize={zoomSize}
+                        zoomFactor={zoomFactor}
+                        title={hoverInfo ? 'Loupe (cursor)' : 'Loupe (selection)'}
+                      />
+                    </div>
+                    <div className="flex-1 bg-white border border-gray-300 rounded-md p-2">
+                      <CursorReadout info={hoverInfo} />
+                    </div>
+                  </div>
                 </div>
               )
             ) : (
@@ -642,23 +1247,25 @@ export default function Home() {
                     <h3 className="text-lg font-semibold mb-2">Selection Data</h3>
                     <p><strong>Display coords:</strong> x = {selectionCoords.display.x.toFixed(2)}, y = {selectionCoords.display.y.toFixed(2)}</p>
                     <p><strong>Original coords:</strong> x = {selectionCoords.original.x.toFixed(2)}, y = {selectionCoords.original.y.toFixed(2)}</p>
-                    <p><strong>Heliographic:</strong> Lon = {heliographicCoords.longitude.toFixed(2)}°, Lat = {heliographicCoords.latitude.toFixed(2)}°</p>
+                    <p><strong>Heliographic:</strong> Lon = {getLongitude(heliographicCoords, coordinateSystem).toFixed(2)}° ({coordinateSystem === 'carrington' ? 'Carrington' : 'Stonyhurst'}), Lat = {heliographicCoords.latitude.toFixed(2)}°</p>
                     <p><strong>Distance from center:</strong> {distanceFromCenter.pixels.toFixed(1)} px ({distanceFromCenter.percent.toFixed(1)}% of radius)</p>
                     
                     <hr className="my-4" />
                     
-                    {/* Zoom viewer and measurement tools */}
+                    {/* Measurement tools */}
                     <div className="flex">
-                      <div className="w-1/2">
-                        {zoomedRegion && (
-                          <ZoomViewer image={zoomedRegion} />
-                        )}
-                      </div>
-                      <div className="w-1/2 pl-2">
+                      <div className="w-full">
                         <h3 className="text-lg font-semibold">Measurement Data</h3>
                         <p><strong>Observation Time:</strong> {obsTime ? obsTime.toISOString() : 'Unknown'}</p>
-                        <p><strong>Heliographic Coordinates:</strong> Lon = {heliographicCoords.longitude.toFixed(2)}°, Lat = {heliographicCoords.latitude.toFixed(2)}°</p>
+                        <p><strong>Stonyhurst:</strong> Lon = {heliographicCoords.stonyhurstLongitude.toFixed(2)}°, Lat = {heliographicCoords.latitude.toFixed(2)}°</p>
+                        <p><strong>Carrington:</strong> Lon = {heliographicCoords.carringtonLongitude.toFixed(2)}°, Lat = {heliographicCoords.latitude.toFixed(2)}°</p>
                         <p><strong>Pixel Coords (Original):</strong> ({selectionCoords.original.x.toFixed(2)}, {selectionCoords.original.y.toFixed(2)})</p>
+                        {featureStats && featureStats.areaMsh !== undefined && (
+                          <p><strong>Area:</strong> {featureStats.areaMsh.toFixed(0)} MSH ({featureStats.areaPixels.toFixed(0)} px)</p>
+                        )}
+                        {featureStats && (
+                          <p><strong>Contrast:</strong> {(featureStats.contrast * 100).toFixed(1)}%</p>
+                        )}
                         
                         <div className="mt-2">
                           <label className="block text-sm font-medium text-gray-700">Feature label:</label>
@@ -670,9 +1277,23 @@ export default function Home() {
                           />
                         </div>
                         
+                        {observer && observer.estimated && (
+                          <p className="mt-2 p-2 text-xs rounded bg-yellow-100 text-yellow-800">
+                            This image has no observation time, so the coordinates above use today&apos;s
+                            solar orientation and cannot be recorded.{' '}
+                            <button
+                              className="text-blue-600 hover:underline"
+                              onClick={() => setTimeDialogNames([sortedFilenames[currentImageIndex]])}
+                            >
+                              Set the time
+                            </button>
+                          </p>
+                        )}
+                        
                         <button
-                          className="mt-2 bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded"
+                          className="mt-2 bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded disabled:opacity-50"
                           onClick={recordMeasurement}
+                          disabled={Boolean(observer && observer.estimated)}
                         >
                           Record Measurement
                         </button>
@@ -692,6 +1313,15 @@ export default function Home() {
                 <MeasurementsPanel
                   measurements={measurements}
                   setMeasurements={setMeasurements}
+                  images={images}
+                  coordinateSystem={coordinateSystem}
+                  onTrackFeature={handleTrackFeature}
+                  onJumpToMeasurement={handleJumpToMeasurement}
+                  highlightedMeasurementId={highlightedMeasurementId}
+                  onUndo={measurementHistory.undo}
+                  onRedo={measurementHistory.redo}
+                  canUndo={measurementHistory.canUndo}
+                  canRedo={measurementHistory.canRedo}
                 />
               </div>
             ) : (
@@ -699,13 +1329,15 @@ export default function Home() {
                 originalDimensions={originalDimensions}
                 displayDimensions={displayDimensions}
                 obsTime={obsTime}
+                timeSource={images[sortedFilenames[currentImageIndex]]?.timeSource}
+                observer={observer}
+                limbFit={images[sortedFilenames[currentImageIndex]]?.limbFit}
                 sunParams={sunParams}
+                calibratedSunParams={calibratedSunParams}
                 adjustedSunParams={adjustedSunParams}
                 imageScale={imageScale}
-                centerXOffset={centerXOffset}
-                centerYOffset={centerYOffset}
-                radiusCorrection={radiusCorrection}
-                forceFitsData={forceFitsData}
+                calibration={currentCalibration}
+                paramsSource={images[sortedFilenames[currentImageIndex]]?.paramsSource}
                 currentFilename={sortedFilenames[currentImageIndex] || ''}
               />
             )}
@@ -0,0 +1,100 @@
+// src/utils/derotation.js
+// Co-aligned and differentially derotated frames for the animation player
+
+import { pixelToHeliographic, heliographicToPixel } from './solarCalculations';
+import { rotationRate, CARRINGTON_SIDEREAL_RATE } from './rotationAnalysis';
+import { createCanvas } from './imageProcessing';
+
+const MS_PER_DAY = 86400000;
+
+// Disk radius as a fraction of the aligned frame size
+const DISK_FILL = 0.45;
+
+/**
+ * Disk geometry shared by all aligned frames: centered in a square frame.
+ *
+ * @param {number} size - Frame width and height in pixels
+ * @returns {{cx: number, cy: number, radius: number}}
+ */
+export const alignedDiskGeometry = (size) => ({ cx: size / 2, cy: size / 2, radius: size * DISK_FILL });
+
+/**
+ * Draws an image re-centered and re-scaled so that its disk matches the
+ * common aligned geometry.
+ *
+ * @param {HTMLImageElement} image - Source image
+ * @param {{cx: number, cy: number, radius: number}} sunParams - Calibrated disk geometry in original pixels
+ * @param {number} size - Output frame size in pixels
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+export const renderCoalignedFrame = (image, sunParams, size) => {
+  const target = alignedDiskGeometry(size);
+  const scale = target.radius / sunParams.radius;
+  const canvas = createCanvas(size, size);
+  const ctx = canvas.getContext('2d');
+
+  ctx.fillStyle = 'black';
+  ctx.fillRect(0, 0, size, size);
+  ctx.setTransform(scale, 0, 0, scale, target.cx - sunParams.cx * scale, target.cy - sunParams.cy * scale);
+  ctx.drawImage(image, 0, 0);
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  return canvas;
+};
+
+/**
+ * Differentially derotates a co-aligned frame to a reference time. Each disk
+ * pixel of the output is a point on the Sun as seen at the reference time;
+ * its Carrington longitude is moved back by the profile's drift over the time
+ * difference and sampled from the frame where the feature was then. The
+ * result has the reference observer's orientation (B0, P). Pixels off the disk
+ * are copied unchanged; points that were behind the limb in the frame are
+ * left black.
+ *
+ * @param {HTMLCanvasElement|OffscreenCanvas} aligned - Result of renderCoalignedFrame
+ * @param {{obsTime: Date, observer: Object}} frame - Time and observer of the frame
+ * @param {{obsTime: Date, observer: Object}} reference - Time and observer to derotate to
+ * @param {{A: number, B: number, C: number}} profile - Sidereal rotation profile in deg/day
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+export const derotateFrame = (aligned, frame, reference, profile) => {
+  const size = aligned.width;
+  const geometry = alignedDiskGeometry(size);
+  const source = aligned.getContext('2d').getImageData(0, 0, size, size).data;
+  const output = new ImageData(size, size);
+  const out = output.data;
+  const days = (reference.obsTime.getTime() - frame.obsTime.getTime()) / MS_PER_DAY;
+  const limbSquared = (geometry.radius + 1) ** 2;
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const i = (y * size + x) * 4;
+      out[i + 3] = 255;
+
+      const hg = (x - geometry.cx) ** 2 + (y - geometry.cy) ** 2 <= limbSquared
+        ? pixelToHeliographic(x, y, geometry, reference.observer)
+        : null;
+      if (!hg || !hg.onDisk) {
+        out[i] = source[i];
+        out[i + 1] = source[i + 1];
+        out[i + 2] = source[i + 2];
+        continue;
+      }
+
+      const drift = rotationRate(hg.latitude, profile) - CARRINGTON_SIDEREAL_RATE;
+      const carringtonLongitude = hg.longitude + reference.observer.L0 - drift * days;
+      const p = heliographicToPixel(carringtonLongitude - frame.observer.L0, hg.latitude, geometry, frame.observer);
+      if (!p.visible) continue;
+
+      const sx = Math.min(size - 1, Math.max(0, Math.round(p.x)));
+      const sy = Math.min(size - 1, Math.max(0, Math.round(p.y)));
+      const j = (sy * size + sx) * 4;
+      out[i] = source[j];
+      out[i + 1] = source[j + 1];
+      out[i + 2] = source[j + 2];
+    }
+  }
+
+  const canvas = createCanvas(size, size);
+  canvas.getContext('2d').putImageData(output, 0, 0);
+  return canvas;
+};
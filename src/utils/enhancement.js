@@ -0,0 +1,274 @@
+// src/utils/enhancement.js
+// Display-only processing of disk images: limb-darkening removal, contrast stretch and unsharp mask
+
+import { inv, multiply } from 'mathjs';
+import { downsamplePixels, percentile, createCanvas } from './imageProcessing';
+
+// Larger side of the processed image, in pixels
+const PROCESSING_SIZE = 2048;
+// On-disk samples used for the limb-darkening fit
+const FIT_SAMPLES = 50000;
+const MIN_FIT_MU = 0.05;
+const HISTOGRAM_BINS = 1024;
+const LOG_STRETCH = 100;
+
+export const STRETCH_MODES = [
+  { value: 'linear', label: 'Linear' },
+  { value: 'sqrt', label: 'Square root' },
+  { value: 'log', label: 'Logarithmic' },
+  { value: 'histogram', label: 'Histogram equalization' }
+];
+
+export const DEFAULT_ENHANCEMENT = {
+  enabled: false,
+  limbDarkening: true,
+  limbDegree: 2,
+  stretch: 'linear',
+  unsharpRadius: 4,
+  unsharpAmount: 0
+};
+
+// mu of every pixel for a disk; NaN off the disk
+const muAt = (x, y, { cx, cy, radius }) => {
+  const r2 = ((x - cx) ** 2 + (y - cy) ** 2) / (radius * radius);
+  return r2 < 1 ? Math.sqrt(1 - r2) : NaN;
+};
+
+const evaluatePolynomial = (coefficients, x) => (
+  coefficients.reduceRight((sum, coefficient) => sum * x + coefficient, 0)
+);
+
+// Least-squares polynomial coefficients (constant term first), from the normal equations
+const fitPolynomial = (xs, ys, degree) => {
+  const size = degree + 1;
+  const XtX = Array.from({ length: size }, () => new Array(size).fill(0));
+  const Xty = new Array(size).fill(0);
+  const powers = new Array(size);
+  xs.forEach((x, i) => {
+    powers[0] = 1;
+    for (let k = 1; k < size; k++) powers[k] = powers[k - 1] * x;
+    for (let j = 0; j < size; j++) {
+      Xty[j] += powers[j] * ys[i];
+      for (let k = 0; k < size; k++) XtX[j][k] += powers[j] * powers[k];
+    }
+  });
+  return multiply(inv(XtX), Xty);
+};
+
+/**
+ * Fits the limb-darkening profile of a disk image as a polynomial in mu,
+ * I(mu) = a0 + a1 mu + a2 mu^2 + ... Pixels far below the first fit (spots)
+ * are rejected and the fit is repeated once.
+ *
+ * @param {{pixels: Float32Array, width: number, height: number}} pixelData - Grayscale pixels
+ * @param {{cx: number, cy: number, radius: number}} sunParams - Disk geometry in the same pixels
+ * @param {number} [degree=2] - Polynomial degree
+ * @returns {{coefficients: number[], rms: number, samples: number}|null}
+ *   rms is relative to the disk-center intensity; null with too few disk pixels
+ */
+export const fitLimbDarkening = ({ pixels, width, height }, sunParams, degree = 2) => {
+  const diskArea = Math.PI * sunParams.radius * sunParams.radius;
+  const step = Math.max(1, Math.floor(Math.sqrt(diskArea / FIT_SAMPLES)));
+  const mus = [];
+  const values = [];
+  for (let y = 0; y < height; y += step) {
+    for (let x = 0; x < width; x += step) {
+      const mu = muAt(x, y, sunParams);
+      const value = pixels[y * width + x];
+      if (mu >= MIN_FIT_MU && Number.isFinite(value)) {
+        mus.push(mu);
+        values.push(value);
+      }
+    }
+  }
+  if (mus.length < (degree + 1) * 10) return null;
+
+  const residualRms = (coefficients, xs, ys) => Math.sqrt(
+    ys.reduce((sum, y, i) => sum + (y - evaluatePolynomial(coefficients, xs[i])) ** 2, 0) / ys.length
+  );
+
+  let coefficients = fitPolynomial(mus, values, degree);
+  const rms = residualRms(coefficients, mus, values);
+  const keptMus = [];
+  const keptValues = [];
+  mus.forEach((mu, i) => {
+    if (values[i] - evaluatePolynomial(coefficients, mu) > -2 * rms) {
+      keptMus.push(mu);
+      keptValues.push(values[i]);
+    }
+  });
+  if (keptMus.length >= (degree + 1) * 10) {
+    coefficients = fitPolynomial(keptMus, keptValues, degree);
+  }
+
+  const center = evaluatePolynomial(coefficients, 1);
+  return {
+    coefficients,
+    rms: residualRms(coefficients, keptMus, keptValues) / Math.abs(center || 1),
+    samples: keptMus.length
+  };
+};
+
+/**
+ * Divides a disk image by a fitted limb-darkening profile, leaving a flat disk
+ * around 1. Pixels off the disk become NaN.
+ *
+ * @param {{pixels: Float32Array, width: number, height: number}} pixelData - Grayscale pixels
+ * @param {{cx: number, cy: number, radius: number}} sunParams - Disk geometry in the same pixels
+ * @param {number[]} coefficients - Profile from fitLimbDarkening
+ * @returns {Float32Array}
+ */
+export const removeLimbDarkening = ({ pixels, width, height }, sunParams, coefficients) => {
+  const result = new Float32Array(width * height).fill(NaN);
+  // Keep the division stable right at the limb
+  const floor = Math.abs(evaluatePolynomial(coefficients, 1)) * 0.05;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const mu = muAt(x, y, sunParams);
+      if (!Number.isFinite(mu)) continue;
+      const profile = Math.max(floor, evaluatePolynomial(coefficients, Math.max(mu, MIN_FIT_MU)));
+      result[y * width + x] = pixels[y * width + x] / profile;
+    }
+  }
+  return result;
+};
+
+// One horizontal or vertical box-blur pass that ignores NaN pixels
+const boxBlurPass = (source, target, width, height, radius, horizontal) => {
+  const lines = horizontal ? height : width;
+  const length = horizontal ? width : height;
+  const stride = horizontal ? 1 : width;
+  for (let line = 0; line < lines; line++) {
+    const start = horizontal ? line * width : line;
+    let sum = 0;
+    let count = 0;
+    const add = (i, sign) => {
+      if (i < 0 || i >= length) return;
+      const value = source[start + i * stride];
+      if (Number.isFinite(value)) {
+        sum += sign * value;
+        count += sign;
+      }
+    };
+    for (let i = 0; i < radius; i++) add(i, 1);
+    for (let i = 0; i < length; i++) {
+      add(i + radius, 1);
+      add(i - radius - 1, -1);
+      target[start + i * stride] = count > 0 ? sum / count : NaN;
+    }
+  }
+};
+
+/**
+ * Sharpens an image by adding back its difference from a blurred copy
+ * (three box-blur passes, close to a Gaussian of sigma ≈ radius).
+ * NaN pixels are ignored by the blur and stay NaN.
+ *
+ * @param {{pixels: Float32Array, width: number, height: number}} pixelData - Grayscale pixels
+ * @param {number} radius - Blur radius in pixels
+ * @param {number} amount - Strength (0 leaves the image unchanged)
+ * @returns {Float32Array}
+ */
+export const unsharpMask = ({ pixels, width, height }, radius, amount) => {
+  if (amount <= 0 || radius < 1) return pixels;
+  const boxRadius = Math.max(1, Math.round(radius * 0.8));
+  const blurred = Float32Array.from(pixels);
+  const scratch = new Float32Array(pixels.length);
+  for (let pass = 0; pass < 3; pass++) {
+    boxBlurPass(blurred, scratch, width, height, boxRadius, true);
+    boxBlurPass(scratch, blurred, width, height, boxRadius, false);
+  }
+
+  const result = new Float32Array(pixels.length);
+  for (let i = 0; i < pixels.length; i++) {
+    result[i] = pixels[i] + amount * (pixels[i] - blurred[i]);
+  }
+  return result;
+};
+
+/**
+ * Maps pixel values to 0-255 display levels between the 0.5th and 99.5th
+ * percentiles with a linear, square-root, logarithmic or histogram-equalized
+ * transfer curve. NaN pixels map to 0.
+ *
+ * @param {Float32Array} pixels - Pixel values
+ * @param {string} mode - One of STRETCH_MODES
+ * @returns {Uint8ClampedArray}
+ */
+export const stretchPixels = (pixels, mode) => {
+  const low = percentile(pixels, 0.5);
+  const high = percentile(pixels, 99.5);
+  const range = high > low ? high - low : 1;
+  const levels = new Uint8ClampedArray(pixels.length);
+
+  let curve;
+  if (mode === 'histogram') {
+    const histogram = new Float64Array(HISTOGRAM_BINS);
+    let total = 0;
+    for (const value of pixels) {
+      if (!Number.isFinite(value)) continue;
+      const bin = Math.min(HISTOGRAM_BINS - 1, Math.max(0, Math.floor(((value - low) / range) * HISTOGRAM_BINS)));
+      histogram[bin]++;
+      total++;
+    }
+    const cdf = new Float64Array(HISTOGRAM_BINS);
+    let running = 0;
+    for (let bin = 0; bin < HISTOGRAM_BINS; bin++) {
+      running += histogram[bin];
+      cdf[bin] = total > 0 ? running / total : 0;
+    }
+    curve = (t) => cdf[Math.min(HISTOGRAM_BINS - 1, Math.floor(t * HISTOGRAM_BINS))];
+  } else if (mode === 'sqrt') {
+    curve = Math.sqrt;
+  } else if (mode === 'log') {
+    curve = (t) => Math.log1p(LOG_STRETCH * t) / Math.log1p(LOG_STRETCH);
+  } else {
+    curve = (t) => t;
+  }
+
+  for (let i = 0; i < pixels.length; i++) {
+    const value = pixels[i];
+    if (!Number.isFinite(value)) continue;
+    const t = Math.min(1, Math.max(0, (value - low) / range));
+    levels[i] = curve(t) * 255;
+  }
+  return levels;
+};
+
+/**
+ * Renders the processed version of an image for display. The stored pixels
+ * are not modified; the result is a separate grayscale canvas, downsampled to
+ * at most PROCESSING_SIZE on its larger side and drawn at the image's display size.
+ *
+ * @param {{pixels: Float32Array, width: number, height: number}} pixelData - Full-resolution grayscale pixels
+ * @param {{cx: number, cy: number, radius: number}|null} sunParams - Calibrated disk geometry in original pixels
+ * @param {Object} options - Settings as in DEFAULT_ENHANCEMENT
+ * @returns {{canvas: HTMLCanvasElement|OffscreenCanvas, limbFit: Object|null}}
+ *   limbFit is the fitted profile when limb-darkening removal was applied
+ */
+export const renderEnhancedImage = (pixelData, sunParams, { limbDarkening, limbDegree, stretch, unsharpRadius, unsharpAmount }) => {
+  const sampled = downsamplePixels(pixelData, PROCESSING_SIZE);
+  const { width, height, scale } = sampled;
+  let pixels = sampled.pixels;
+  let limbFit = null;
+
+  if (limbDarkening && sunParams) {
+    const disk = { cx: sunParams.cx * scale, cy: sunParams.cy * scale, radius: sunParams.radius * scale };
+    limbFit = fitLimbDarkening(sampled, disk, limbDegree);
+    if (limbFit) pixels = removeLimbDarkening(sampled, disk, limbFit.coefficients);
+  }
+
+  pixels = unsharpMask({ pixels, width, height }, Math.max(1, unsharpRadius * scale), unsharpAmount);
+  const levels = stretchPixels(pixels, stretch);
+
+  const imageData = new ImageData(width, height);
+  for (let i = 0; i < levels.length; i++) {
+    imageData.data[i * 4] = levels[i];
+    imageData.data[i * 4 + 1] = levels[i];
+    imageData.data[i * 4 + 2] = levels[i];
+    imageData.data[i * 4 + 3] = 255;
+  }
+  const canvas = createCanvas(width, height);
+  canvas.getContext('2d').putImageData(imageData, 0, 0);
+  return { canvas, limbFit };
+};
@@ -0,0 +1,113 @@
+// src/utils/ephemeris.js
+// Solar ephemeris for physical observations (Meeus, Astronomical Algorithms, ch. 25 and 29)
+
+const AU_METERS = 1.495978707e11;
+const RSUN_ARCSEC_1AU = 959.63; // Apparent solar semidiameter at 1 AU
+const CARRINGTON_INCLINATION = 7.25; // Inclination of the solar equator to the ecliptic
+
+const degreesToRadians = (degrees) => degrees * Math.PI / 180;
+const radiansToDegrees = (radians) => radians * 180 / Math.PI;
+
+const normalizeDegrees = (degrees) => {
+  const result = degrees % 360;
+  return result < 0 ? result + 360 : result;
+};
+
+/**
+ * Julian Day for a JS Date (UTC).
+ *
+ * @param {Date} date - Observation time
+ * @returns {number}
+ */
+export const julianDay = (date) => {
+  return date.getTime() / 86400000 + 2440587.5;
+};
+
+/**
+ * Computes the solar B0, L0 (Carrington) and P angles for an observation time,
+ * along with the Sun-Earth distance and apparent angular radius.
+ * Accurate to roughly 0.01° over the current era, which is well below the
+ * precision of a click on a full-disk image.
+ *
+ * @param {Date} date - Observation time
+ * @returns {{B0: number, L0: number, P: number, distanceAU: number, dsun: number, rsunArcsec: number}}
+ *   Angles in degrees, dsun in meters, rsunArcsec in arcseconds
+ */
+export const computeSolarEphemeris = (date) => {
+  const jd = julianDay(date);
+  const T = (jd - 2451545.0) / 36525;
+
+  // Geometric position of the Sun (Meeus ch. 25, low accuracy)
+  const meanLongitude = 280.46646 + 36000.76983 * T + 0.0003032 * T * T;
+  const meanAnomaly = 357.52911 + 35999.05029 * T - 0.0001537 * T * T;
+  const eccentricity = 0.016708634 - 0.000042037 * T - 0.0000001267 * T * T;
+  const M = degreesToRadians(meanAnomaly);
+  const center = (1.914602 - 0.004817 * T - 0.000014 * T * T) * Math.sin(M)
+    + (0.019993 - 0.000101 * T) * Math.sin(2 * M)
+    + 0.000289 * Math.sin(3 * M);
+  const trueLongitude = meanLongitude + center;
+  const trueAnomaly = degreesToRadians(meanAnomaly + center);
+  const distanceAU = 1.000001018 * (1 - eccentricity * eccentricity)
+    / (1 + eccentricity * Math.cos(trueAnomaly));
+
+  // Nutation and aberration
+  const omega = degreesToRadians(125.04 - 1934.136 * T);
+  const nutationLongitude = -0.00478 * Math.sin(omega);
+  const lambda = trueLongitude - 0.00569; // Apparent longitude without nutation
+  const lambdaApparent = lambda + nutationLongitude;
+  const obliquity = 23.439291 - 0.0130042 * T + 0.00256 * Math.cos(omega);
+
+  // Physical ephemeris (Meeus ch. 29)
+  const theta = normalizeDegrees((jd - 2398220) * 360 / 25.38);
+  const I = degreesToRadians(CARRINGTON_INCLINATION);
+  const K = degreesToRadians(73.6667 + 1.3958333 * (jd - 2396758) / 36525);
+  const lambdaRad = degreesToRadians(lambda);
+  const lambdaApparentRad = degreesToRadians(lambdaApparent);
+  const epsilon = degreesToRadians(obliquity);
+
+  const x = Math.atan(-Math.cos(lambdaApparentRad) * Math.tan(epsilon));
+  const y = Math.atan(-Math.cos(lambdaRad - K) * Math.tan(I));
+  const P = radiansToDegrees(x + y);
+  const B0 = radiansToDegrees(Math.asin(Math.sin(lambdaRad - K) * Math.sin(I)));
+  const eta = radiansToDegrees(Math.atan2(
+    -Math.sin(lambdaRad - K) * Math.cos(I),
+    -Math.cos(lambdaRad - K)
+  ));
+  const L0 = normalizeDegrees(eta - theta);
+
+  return {
+    B0,
+    L0,
+    P,
+    distanceAU,
+    dsun: distanceAU * AU_METERS,
+    rsunArcsec: RSUN_ARCSEC_1AU / distanceAU
+  };
+};
+
+/**
+ * Observer geometry for an observation: the computed ephemeris with any
+ * header-supplied values (e.g. CRLN_OBS, CRLT_OBS, SOLAR_P) taking precedence.
+ *
+ * @param {Date|null} obsTime - Observation time. When missing the current time stands in,
+ *   and the result is flagged `estimated` unless the overrides supply B0, L0 and P
+ * @param {Object} [overrides] - Known values keyed like the return value
+ * @returns {{B0: number, L0: number, P: number, distanceAU: number, dsun: number, rsunArcsec: number, estimated: boolean}}
+ *   estimated observers are fine for display but must not be recorded as measurements
+ */
+export const resolveObserver = (obsTime, overrides = {}) => {
+  const hasTime = obsTime instanceof Date && !Number.isNaN(obsTime.getTime());
+  const date = hasTime ? obsTime : new Date();
+  const observer = computeSolarEphemeris(date);
+
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      observer[key] = value;
+    }
+  }
+  observer.L0 = normalizeDegrees(observer.L0);
+  observer.estimated = !hasTime
+    && !['B0', 'L0', 'P'].every(key => typeof (overrides || {})[key] === 'number' && Number.isFinite(overrides[key]));
+
+  return observer;
+};
@@ -0,0 +1,167 @@
+// src/utils/featureTracking.js
+// Follow a labelled feature through the image sequence using differential rotation
+
+import { pixelToHeliographic, heliographicToPixel } from './solarCalculations';
+import { findFeatureCentroid } from './imageProcessing';
+import {
+  fitFeatureRotation,
+  rotationRate,
+  REFERENCE_ROTATION_PROFILES,
+  CARRINGTON_SIDEREAL_RATE
+} from './rotationAnalysis';
+import { createMeasurement } from './measurements';
+
+const MS_PER_DAY = 86400000;
+
+// Sunspot rotation profile used when the feature has no fitted rate yet
+const SUNSPOT_PROFILE = REFERENCE_ROTATION_PROFILES[1];
+
+// Matches below this confidence are flagged for review
+export const LOW_CONFIDENCE = 0.5;
+
+// Closest to the limb a feature is followed (mu = cos of the heliocentric angle)
+const MIN_MU = 0.15;
+
+/**
+ * Carrington longitude drift rate (deg/day) of a feature: its own fitted rate
+ * when it has been measured at two or more times, otherwise the sunspot
+ * differential rotation profile at its latitude.
+ *
+ * @param {Object[]} featureMeasurements - Existing measurements of the feature
+ * @param {number} latitude - Latitude in degrees
+ * @returns {number}
+ */
+export const carringtonDriftRate = (featureMeasurements, latitude) => {
+  const fit = fitFeatureRotation('', featureMeasurements);
+  if (fit && fit.spanDays > 0.1) {
+    return fit.siderealRate - CARRINGTON_SIDEREAL_RATE;
+  }
+  return rotationRate(latitude, SUNSPOT_PROFILE) - CARRINGTON_SIDEREAL_RATE;
+};
+
+/**
+ * Tracks a labelled feature forward or backward through the sequence.
+ * For each frame the position is predicted from the drift rate and the time
+ * difference, then refined by a darkness-weighted centroid in a search box.
+ * Frames that already hold a measurement of the label are skipped; tracking
+ * stops once the feature rotates too close to the limb.
+ *
+ * @param {Object} params
+ * @param {string} params.label - Feature label
+ * @param {Object[]} params.measurements - All measurements
+ * @param {string[]} params.sortedFilenames - Image sequence in time order
+ * @param {string} params.direction - 'forward' or 'backward'
+ * @param {(name: string) => ({obsTime: Date, sunParams: Object, observer: Object, pixelData: Object}|null)} params.getFrame
+ *   Geometry and pixels of a frame, in original image pixels
+ * @returns {{measurements: Object[], report: Array<{image: string, confidence: number, flagged: boolean, reason?: string}>}}
+ */
+export const trackFeature = ({ label, measurements, sortedFilenames, direction, getFrame }) => {
+  const featureMeasurements = measurements.filter(m => m.label === label);
+  const measuredImages = new Set(featureMeasurements.map(m => m.image));
+  const step = direction === 'backward' ? -1 : 1;
+
+  // Start from the measurement furthest along in the tracking direction
+  const indexed = featureMeasurements
+    .map(m => ({ m, index: sortedFilenames.indexOf(m.image) }))
+    .filter(({ index }) => index >= 0)
+    .sort((a, b) => (a.index - b.index) * step);
+  if (indexed.length === 0) {
+    return { measurements: [], report: [] };
+  }
+
+  const start = indexed[indexed.length - 1];
+  const startTime = new Date(start.m.observationTime).getTime();
+  if (Number.isNaN(startTime)) {
+    return {
+      measurements: [],
+      report: [{ image: start.m.image, confidence: 0, flagged: true, reason: 'Starting measurement has no observation time' }]
+    };
+  }
+  let reference = {
+    time: startTime,
+    longitude: start.m.carringtonLongitude,
+    latitude: start.m.helioLatitude
+  };
+  const driftRate = carringtonDriftRate(featureMeasurements, reference.latitude);
+
+  const tracked = [];
+  const report = [];
+
+  for (let index = start.index + step; index >= 0 && index < sortedFilenames.length; index += step) {
+    const image = sortedFilenames[index];
+    if (measuredImages.has(image)) continue;
+
+    const frame = getFrame(image);
+    if (!frame || !frame.obsTime) {
+      report.push({ image, confidence: 0, flagged: true, reason: 'No frame data or observation time' });
+      continue;
+    }
+
+    const { obsTime, sunParams, observer, pixelData } = frame;
+    const days = (obsTime.getTime() - reference.time) / MS_PER_DAY;
+    const predictedLongitude = reference.longitude + driftRate * days;
+    const predicted = heliographicToPixel(
+      predictedLongitude - observer.L0,
+      reference.latitude,
+      sunParams,
+      observer
+    );
+
+    if (!predicted.visible || predicted.mu < MIN_MU) {
+      report.push({ image, confidence: 0, flagged: true, reason: 'Feature rotated out of view' });
+      break;
+    }
+
+    // Search box scaled with the disk size
+    const halfSize = Math.max(6, sunParams.radius * 0.04);
+    const feature = findFeatureCentroid(pixelData, {
+      x: predicted.x - halfSize,
+      y: predicted.y - halfSize,
+      width: 2 * halfSize,
+      height: 2 * halfSize
+    });
+
+    let pixel = { x: predicted.x, y: predicted.y };
+    let confidence = 0;
+    let contrast = null;
+    if (feature) {
+      const offset = Math.hypot(feature.centroid.x - predicted.x, feature.centroid.y - predicted.y);
+      contrast = feature.contrast;
+      // Close to the prediction and clearly darker than the surroundings
+      confidence = Math.max(0, 1 - offset / halfSize) * Math.min(1, contrast / 0.2);
+      pixel = feature.centroid;
+    }
+    const flagged = confidence < LOW_CONFIDENCE;
+
+    const hg = pixelToHeliographic(pixel.x, pixel.y, sunParams, observer);
+    const measurement = createMeasurement({
+      image,
+      obsTime,
+      pixel,
+      coords: {
+        stonyhurstLongitude: hg.longitude,
+        carringtonLongitude: hg.carringtonLongitude,
+        latitude: hg.latitude
+      },
+      sunParams,
+      label,
+      stats: contrast !== null ? { contrast } : null,
+      trackConfidence: confidence,
+      flagged
+    });
+
+    tracked.push(measurement);
+    report.push({ image, confidence, flagged });
+
+    // Chain from confident matches; otherwise keep predicting from the last good one
+    if (!flagged) {
+      reference = {
+        time: obsTime.getTime(),
+        longitude: hg.carringtonLongitude,
+        latitude: hg.latitude
+      };
+    }
+  }
+
+  return { measurements: tracked, report };
+};
@@ -0,0 +1,406 @@
+// src/utils/fitsReader.js
+// Minimal in-browser FITS reader: header cards and image HDU data
+
+const BLOCK_SIZE = 2880;
+const CARD_SIZE = 80;
+
+const BYTES_PER_PIXEL = {
+  8: 1,
+  16: 2,
+  32: 4,
+  '-32': 4,
+  '-64': 8
+};
+
+const degreesToRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Parses the value part of a FITS header card into a JS value.
+ * Strings are unquoted, logicals become booleans and numbers are parsed
+ * (including the Fortran "D" exponent).
+ *
+ * @param {string} rawValue - Text after "= " with the comment still attached
+ * @returns {string|number|boolean|null}
+ */
+const parseCardValue = (rawValue) => {
+  const trimmed = rawValue.trim();
+
+  if (trimmed.startsWith("'")) {
+    // Quoted string; a doubled quote '' is an escaped quote
+    let result = '';
+    let i = 1;
+    while (i < trimmed.length) {
+      if (trimmed[i] === "'") {
+        if (trimmed[i + 1] === "'") {
+          result += "'";
+          i += 2;
+          continue;
+        }
+        break;
+      }
+      result += trimmed[i];
+      i++;
+    }
+    return result.trimEnd();
+  }
+
+  // Strip the inline comment
+  const valueText = trimmed.split('/')[0].trim();
+  if (valueText === '') return null;
+  if (valueText === 'T') return true;
+  if (valueText === 'F') return false;
+
+  const number = Number(valueText.replace(/D/i, 'E'));
+  return Number.isNaN(number) ? valueText : number;
+};
+
+/**
+ * Reads consecutive header blocks starting at `offset` until the END card.
+ *
+ * @param {DataView} view - View over the whole file
+ * @param {number} offset - Byte offset of the first header block
+ * @returns {{header: Object, dataOffset: number}} Parsed keywords and the byte
+ *   offset where the data unit starts
+ */
+export const parseFitsHeader = (view, offset = 0) => {
+  const header = {};
+  let position = offset;
+
+  while (position + BLOCK_SIZE <= view.byteLength) {
+    for (let card = 0; card < BLOCK_SIZE / CARD_SIZE; card++) {
+      let text = '';
+      const start = position + card * CARD_SIZE;
+      for (let i = 0; i < CARD_SIZE; i++) {
+        text += String.fromCharCode(view.getUint8(start + i));
+      }
+
+      const keyword = text.substring(0, 8).trim();
+      if (keyword === 'END') {
+        return { header, dataOffset: position + BLOCK_SIZE };
+      }
+
+      // Only "KEYWORD = value" cards carry values; COMMENT/HISTORY are skipped
+      if (keyword && text.substring(8, 10) === '= ') {
+        header[keyword] = parseCardValue(text.substring(10));
+      }
+    }
+    position += BLOCK_SIZE;
+  }
+
+  throw new Error('FITS header has no END card');
+};
+
+/**
+ * Size in bytes of an HDU data unit, padded to whole blocks.
+ *
+ * @param {Object} header - Parsed header of the HDU
+ * @returns {number}
+ */
+const dataUnitSize = (header) => {
+  const naxis = header.NAXIS || 0;
+  if (naxis === 0) return 0;
+
+  let count = 1;
+  for (let i = 1; i <= naxis; i++) {
+    count *= header[`NAXIS${i}`] || 0;
+  }
+  // Binary tables and random groups carry a heap / parameter area
+  count = (header.GCOUNT || 1) * ((header.PCOUNT || 0) + count);
+
+  const bytes = count * Math.abs(header.BITPIX) / 8;
+  return Math.ceil(bytes / BLOCK_SIZE) * BLOCK_SIZE;
+};
+
+/**
+ * Decodes the first plane of a 2D (or higher) image data unit into a
+ * Float32Array of physical values (BZERO + BSCALE * raw). BLANK integer
+ * values and non-finite floats become NaN.
+ *
+ * @param {DataView} view - View over the whole file
+ * @param {Object} header - Parsed header of the HDU
+ * @param {number} dataOffset - Byte offset of the data unit
+ * @returns {{pixels: Float32Array, width: number, height: number}}
+ */
+export const readFitsImageData = (view, header, dataOffset) => {
+  const bitpix = header.BITPIX;
+  const bytesPerPixel = BYTES_PER_PIXEL[bitpix];
+  if (!bytesPerPixel) {
+    throw new Error(`Unsupported BITPIX: ${bitpix}`);
+  }
+
+  const width = header.NAXIS1;
+  const height = header.NAXIS2;
+  const count = width * height;
+  if (dataOffset + count * bytesPerPixel > view.byteLength) {
+    throw new Error('FITS file is truncated');
+  }
+
+  const bzero = header.BZERO ?? 0;
+  const bscale = header.BSCALE ?? 1;
+  const blank = header.BLANK;
+  const hasBlank = bitpix > 0 && blank !== undefined;
+  const pixels = new Float32Array(count);
+
+  // FITS data is big-endian
+  for (let i = 0; i < count; i++) {
+    const at = dataOffset + i * bytesPerPixel;
+    let raw;
+    switch (bitpix) {
+      case 8: raw = view.getUint8(at); break;
+      case 16: raw = view.getInt16(at, false); break;
+      case 32: raw = view.getInt32(at, false); break;
+      case -32: raw = view.getFloat32(at, false); break;
+      default: raw = view.getFloat64(at, false); break;
+    }
+
+    if ((hasBlank && raw === blank) || !Number.isFinite(raw)) {
+      pixels[i] = NaN;
+    } else {
+      pixels[i] = bzero + bscale * raw;
+    }
+  }
+
+  return { pixels, width, height };
+};
+
+/**
+ * Parses a FITS file. The primary HDU is used when it holds an image;
+ * otherwise the first IMAGE extension is used (e.g. files whose primary HDU
+ * is header-only). Pixel rows are kept in FITS order (first row = bottom).
+ *
+ * @param {ArrayBuffer} buffer - Raw file contents
+ * @returns {{header: Object, pixels: Float32Array, width: number, height: number, bitpix: number}}
+ */
+export const parseFits = (buffer) => {
+  const view = new DataView(buffer);
+  let { header, dataOffset } = parseFitsHeader(view, 0);
+
+  if (header.SIMPLE !== true) {
+    throw new Error('Not a FITS file (SIMPLE = T missing)');
+  }
+
+  const primaryHeader = header;
+  while ((header.NAXIS || 0) < 2 || (header.XTENSION && header.XTENSION !== 'IMAGE')) {
+    const nextOffset = dataOffset + dataUnitSize(header);
+    if (nextOffset >= view.byteLength) {
+      throw new Error('FITS file contains no 2D image');
+    }
+    ({ header, dataOffset } = parseFitsHeader(view, nextOffset));
+  }
+
+  // Keywords from the image HDU win, but keep primary keywords (observation
+  // metadata is often only in the primary header)
+  const mergedHeader = header === primaryHeader ? header : { ...primaryHeader, ...header };
+  const { pixels, width, height } = readFitsImageData(view, header, dataOffset);
+
+  return { header: mergedHeader, pixels, width, height, bitpix: header.BITPIX };
+};
+
+/**
+ * Reorders FITS rows (first row = bottom of the image) into display order
+ * (first row = top), so pixel (x, y) matches canvas coordinates.
+ *
+ * @param {Float32Array} pixels - Pixel values in FITS row order
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Float32Array} New array in top-down row order
+ */
+export const flipFitsRows = (pixels, width, height) => {
+  const flipped = new Float32Array(pixels.length);
+  for (let row = 0; row < height; row++) {
+    const sourceRow = height - 1 - row;
+    flipped.set(pixels.subarray(sourceRow * width, (sourceRow + 1) * width), row * width);
+  }
+  return flipped;
+};
+
+/**
+ * Converts pixel values into 8-bit grayscale RGBA for display. Values are
+ * clipped to the given percentiles of the finite pixels; NaN becomes black.
+ *
+ * @param {Float32Array} pixels - Physical pixel values
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} lowPercentile - Lower clip (0-100)
+ * @param {number} highPercentile - Upper clip (0-100)
+ * @returns {Uint8ClampedArray} RGBA bytes in the same row order as `pixels`
+ */
+export const renderFitsToRGBA = (pixels, width, height, lowPercentile = 0.5, highPercentile = 99.5) => {
+  // Estimate the clip range from a subsample to keep large images fast
+  const step = Math.max(1, Math.floor(pixels.length / 250000));
+  const sample = [];
+  for (let i = 0; i < pixels.length; i += step) {
+    if (Number.isFinite(pixels[i])) sample.push(pixels[i]);
+  }
+  sample.sort((a, b) => a - b);
+
+  let low = 0;
+  let high = 1;
+  if (sample.length > 0) {
+    low = sample[Math.floor((sample.length - 1) * lowPercentile / 100)];
+    high = sample[Math.floor((sample.length - 1) * highPercentile / 100)];
+  }
+  const range = high > low ? high - low : 1;
+
+  const rgba = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const value = pixels[i];
+    const gray = Number.isFinite(value) ? ((value - low) / range) * 255 : 0;
+    const at = i * 4;
+    rgba[at] = gray;
+    rgba[at + 1] = gray;
+    rgba[at + 2] = gray;
+    rgba[at + 3] = 255;
+  }
+
+  return rgba;
+};
+
+/**
+ * Derives the solar disk center and radius in display pixel coordinates
+ * (0-based, top-down rows) from the WCS keywords of a helioprojective image.
+ * Returns null when the header does not describe the disk.
+ *
+ * Uses CRPIX1/2, CRVAL1/2, CDELT1/2 and CROTA2 to locate the Sun center
+ * (helioprojective 0,0), and R_SUN (pixels) or RSUN_OBS (arcsec) for the radius.
+ *
+ * @param {Object} header - Parsed FITS header
+ * @param {number} width - Image width (NAXIS1)
+ * @param {number} height - Image height (NAXIS2)
+ * @returns {{cx: number, cy: number, radius: number}|null}
+ */
+export const getSunParamsFromHeader = (header, width, height) => {
+  const { CRPIX1, CRPIX2 } = header;
+  if (typeof CRPIX1 !== 'number' || typeof CRPIX2 !== 'number') return null;
+
+  const cdelt1 = header.CDELT1;
+  const cdelt2 = header.CDELT2 ?? cdelt1;
+  const hasScale = typeof cdelt1 === 'number' && cdelt1 !== 0 && cdelt2 !== 0;
+
+  // Offset from the reference pixel to the Sun center, in pixels. The WCS maps
+  // pixel offsets to world offsets through R(CROTA2) * diag(CDELT1, CDELT2),
+  // so the inverse is diag(1/CDELT) * R(-CROTA2) applied to -CRVAL.
+  let dx = 0;
+  let dy = 0;
+  if (hasScale) {
+    const crota = degreesToRadians(header.CROTA2 || 0);
+    const cos = Math.cos(crota);
+    const sin = Math.sin(crota);
+    const wx = -(header.CRVAL1 || 0);
+    const wy = -(header.CRVAL2 || 0);
+    dx = (cos * wx + sin * wy) / cdelt1;
+    dy = (-sin * wx + cos * wy) / cdelt2;
+  }
+
+  let radius = null;
+  if (typeof header.R_SUN === 'number' && header.R_SUN > 0) {
+    radius = header.R_SUN;
+  } else if (typeof header.RSUN_OBS === 'number' && hasScale) {
+    radius = header.RSUN_OBS / Math.abs(cdelt1);
+  }
+  if (!radius) return null;
+
+  // FITS pixels are 1-based with row 1 at the bottom
+  const fitsX = CRPIX1 - 1 + dx;
+  const fitsY = CRPIX2 - 1 + dy;
+
+  return {
+    cx: fitsX,
+    cy: height - 1 - fitsY,
+    radius
+  };
+};
+
+/**
+ * Parses a FITS date string as UTC. Accepts ISO dates with or without time,
+ * the JSOC "2024.05.12_12:00:00.00_TAI" form and the old "dd/mm/yy" form.
+ *
+ * @param {string} value - Date string from the header
+ * @param {string} [timeValue] - Separate time (TIME-OBS) for date-only values
+ * @returns {Date|null}
+ */
+export const parseFitsDate = (value, timeValue) => {
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  let text = value.trim();
+  let taiOffsetSeconds = 0;
+
+  // JSOC style: 2024.05.12_12:00:00.00_TAI
+  const jsoc = text.match(/^(\d{4})\.(\d{2})\.(\d{2})_(\d{2}:\d{2}:\d{2}(?:\.\d+)?)(?:_(\w+))?$/);
+  if (jsoc) {
+    text = `${jsoc[1]}-${jsoc[2]}-${jsoc[3]}T${jsoc[4]}`;
+    // TAI is ahead of UTC by 37 s since 2017
+    if (jsoc[5] === 'TAI') taiOffsetSeconds = 37;
+  }
+
+  // Pre-2000 style: dd/mm/yy
+  const old = text.match(/^(\d{2})\/(\d{2})\/(\d{2})$/);
+  if (old) {
+    text = `19${old[3]}-${old[2]}-${old[1]}`;
+  }
+
+  if (!text.includes('T')) {
+    text = `${text}T${(timeValue || '00:00:00').trim()}`;
+  }
+  if (!/(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+    text += 'Z';
+  }
+
+  const date = new Date(text);
+  if (Number.isNaN(date.getTime())) return null;
+  return new Date(date.getTime() - taiOffsetSeconds * 1000);
+};
+
+/**
+ * Observation time from DATE-OBS (with TIME-OBS for date-only values),
+ * falling back to T_OBS.
+ *
+ * @param {Object} header - Parsed FITS header
+ * @returns {Date|null}
+ */
+export const getObservationTimeFromHeader = (header) => {
+  return parseFitsDate(header['DATE-OBS'], header['TIME-OBS'])
+    || parseFitsDate(header.DATE_OBS, header['TIME-OBS'])
+    || parseFitsDate(header.T_OBS);
+};
+
+/**
+ * Observer geometry stated in the header, for use as overrides of the computed
+ * ephemeris. Only keywords present in the header are returned. RSUN_OBS is the
+ * apparent radius in arcsec and DSUN_OBS the observer distance in meters.
+ *
+ * P is the position angle of solar north in the image (degrees, counter-clockwise
+ * from image up). SOLAR_P is used when present; otherwise, for helioprojective
+ * WCS images (which are aligned with solar north), it follows from CROTA2.
+ *
+ * @param {Object} header - Parsed FITS header (or FITS-style JSON metadata)
+ * @returns {{B0?: number, L0?: number, P?: number, rsunArcsec?: number, dsun?: number}}
+ */
+export const getObserverFromHeader = (header) => {
+  const observer = {};
+  if (!header) return observer;
+
+  const number = (value) => {
+    const parsed = typeof value === 'string' ? parseFloat(value) : value;
+    return typeof parsed === 'number' && Number.isFinite(parsed) ? parsed : undefined;
+  };
+
+  const B0 = number(header.CRLT_OBS);
+  const L0 = number(header.CRLN_OBS);
+  const solarP = number(header.SOLAR_P);
+  const crota2 = number(header.CROTA2);
+  const rsunArcsec = number(header.RSUN_OBS);
+  const dsun = number(header.DSUN_OBS);
+  const isHelioprojective = typeof header.CTYPE1 === 'string' && header.CTYPE1.startsWith('HPLN');
+
+  if (B0 !== undefined) observer.B0 = B0;
+  if (L0 !== undefined) observer.L0 = L0;
+  if (rsunArcsec !== undefined) observer.rsunArcsec = rsunArcsec;
+  if (dsun !== undefined) observer.dsun = dsun;
+  if (solarP !== undefined) {
+    observer.P = solarP;
+  } else if (isHelioprojective) {
+    observer.P = -(crota2 || 0);
+  }
+
+  return observer;
+};
@@ -0,0 +1,240 @@
+// src/utils/gifEncoder.js
+// Animated GIF89a encoder: per-frame 256-color palettes and LZW compression
+
+const MAX_CODE = 4095;
+
+// Colors are counted at 6 bits per channel before picking the palette
+const BINS = 1 << 18;
+const binOf = (r, g, b) => ((r >> 2) << 12) | ((g >> 2) << 6) | (b >> 2);
+
+/**
+ * Growable byte buffer.
+ */
+const createByteWriter = () => {
+  let bytes = new Uint8Array(1 << 16);
+  let length = 0;
+
+  const ensure = (extra) => {
+    if (length + extra <= bytes.length) return;
+    let size = bytes.length * 2;
+    while (size < length + extra) size *= 2;
+    const grown = new Uint8Array(size);
+    grown.set(bytes.subarray(0, length));
+    bytes = grown;
+  };
+
+  return {
+    byte: (value) => {
+      ensure(1);
+      bytes[length++] = value;
+    },
+    word: (value) => {
+      ensure(2);
+      bytes[length++] = value & 0xFF;
+      bytes[length++] = (value >> 8) & 0xFF;
+    },
+    bytes: (values) => {
+      ensure(values.length);
+      bytes.set(values, length);
+      length += values.length;
+    },
+    string: (text) => {
+      ensure(text.length);
+      for (let i = 0; i < text.length; i++) bytes[length++] = text.charCodeAt(i);
+    },
+    result: () => bytes.slice(0, length)
+  };
+};
+
+/**
+ * Picks up to 256 colors for a frame: the most frequent colors of a 6-bit
+ * per channel histogram. Returns the palette (RGB bytes) and the palette
+ * index of every pixel.
+ *
+ * @param {Uint8ClampedArray} rgba - Frame pixels
+ * @returns {{palette: Uint8Array, indices: Uint8Array}}
+ */
+const quantize = (rgba) => {
+  const pixelCount = rgba.length / 4;
+  const counts = new Uint32Array(BINS);
+  const bins = new Uint32Array(pixelCount);
+  for (let i = 0; i < pixelCount; i++) {
+    const bin = binOf(rgba[i * 4], rgba[i * 4 + 1], rgba[i * 4 + 2]);
+    bins[i] = bin;
+    counts[bin]++;
+  }
+
+  const used = [];
+  for (let bin = 0; bin < BINS; bin++) {
+    if (counts[bin] > 0) used.push(bin);
+  }
+  used.sort((a, b) => counts[b] - counts[a]);
+  const chosen = used.slice(0, 256);
+
+  const palette = new Uint8Array(256 * 3);
+  const colors = chosen.map((bin, i) => {
+    // Center of the bin
+    const r = ((bin >> 12) << 2) | 2;
+    const g = (((bin >> 6) & 63) << 2) | 2;
+    const b = ((bin & 63) << 2) | 2;
+    palette[i * 3] = r;
+    palette[i * 3 + 1] = g;
+    palette[i * 3 + 2] = b;
+    return [r, g, b];
+  });
+
+  // Nearest palette color per histogram bin, looked up once per bin
+  const lookup = new Int16Array(BINS).fill(-1);
+  chosen.forEach((bin, i) => { lookup[bin] = i; });
+  const indices = new Uint8Array(pixelCount);
+  for (let i = 0; i < pixelCount; i++) {
+    const bin = bins[i];
+    if (lookup[bin] < 0) {
+      const r = ((bin >> 12) << 2) | 2;
+      const g = (((bin >> 6) & 63) << 2) | 2;
+      const b = ((bin & 63) << 2) | 2;
+      let best = 0;
+      let bestDistance = Infinity;
+      colors.forEach(([pr, pg, pb], index) => {
+        const distance = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2;
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = index;
+        }
+      });
+      lookup[bin] = best;
+    }
+    indices[i] = lookup[bin];
+  }
+
+  return { palette, indices };
+};
+
+/**
+ * GIF LZW compression of palette indices with 8-bit minimum code size,
+ * written as data sub-blocks.
+ *
+ * @param {Uint8Array} indices - Palette index per pixel
+ * @param {Object} writer - Byte writer
+ */
+const writeLzw = (indices, writer) => {
+  const minCodeSize = 8;
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+
+  let block = [];
+  let bitBuffer = 0;
+  let bitCount = 0;
+  const output = (code, size) => {
+    bitBuffer |= code << bitCount;
+    bitCount += size;
+    while (bitCount >= 8) {
+      block.push(bitBuffer & 0xFF);
+      bitBuffer >>= 8;
+      bitCount -= 8;
+      if (block.length === 255) {
+        writer.byte(255);
+        writer.bytes(block);
+        block = [];
+      }
+    }
+  };
+
+  let dictionary = new Map();
+  let nextCode = endCode + 1;
+  let codeSize = minCodeSize + 1;
+
+  writer.byte(minCodeSize);
+  output(clearCode, codeSize);
+
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const value = indices[i];
+    const key = (prefix << 8) | value;
+    const existing = dictionary.get(key);
+    if (existing !== undefined) {
+      prefix = existing;
+      continue;
+    }
+
+    output(prefix, codeSize);
+    if (nextCode <= MAX_CODE) {
+      dictionary.set(key, nextCode);
+      if (nextCode === 1 << codeSize && codeSize < 12) codeSize++;
+      nextCode++;
+    } else {
+      // Table full: start over
+      output(clearCode, codeSize);
+      dictionary = new Map();
+      nextCode = endCode + 1;
+      codeSize = minCodeSize + 1;
+    }
+    prefix = value;
+  }
+  output(prefix, codeSize);
+  output(endCode, codeSize);
+  if (bitCount > 0) output(0, 8 - bitCount);
+
+  if (block.length > 0) {
+    writer.byte(block.length);
+    writer.bytes(block);
+  }
+  writer.byte(0);
+};
+
+/**
+ * Creates an animated GIF encoder. Frames must all be `width` x `height`.
+ *
+ * @param {Object} params
+ * @param {number} params.width - Frame width
+ * @param {number} params.height - Frame height
+ * @param {number} params.delayMs - Display time of each frame in milliseconds
+ * @param {number} [params.loop=0] - Repeat count (0 = forever)
+ * @returns {{addFrame: (rgba: Uint8ClampedArray) => void, finish: () => Blob}}
+ */
+export const createGifEncoder = ({ width, height, delayMs, loop = 0 }) => {
+  const writer = createByteWriter();
+
+  writer.string('GIF89a');
+  writer.word(width);
+  writer.word(height);
+  writer.byte(0x00); // No global color table
+  writer.byte(0);
+  writer.byte(0);
+
+  // Netscape looping extension
+  writer.bytes([0x21, 0xFF, 0x0B]);
+  writer.string('NETSCAPE2.0');
+  writer.bytes([0x03, 0x01]);
+  writer.word(loop);
+  writer.byte(0);
+
+  return {
+    addFrame: (rgba) => {
+      if (rgba.length !== width * height * 4) {
+        throw new Error(`GIF frame must be ${width}x${height}`);
+      }
+      const { palette, indices } = quantize(rgba);
+
+      // Graphic control extension: frame delay in hundredths of a second
+      writer.bytes([0x21, 0xF9, 0x04, 0x00]);
+      writer.word(Math.max(2, Math.round(delayMs / 10)));
+      writer.bytes([0x00, 0x00]);
+
+      // Image descriptor with a 256-entry local color table
+      writer.byte(0x2C);
+      writer.word(0);
+      writer.word(0);
+      writer.word(width);
+      writer.word(height);
+      writer.byte(0x87);
+      writer.bytes(palette);
+
+      writeLzw(indices, writer);
+    },
+    finish: () => {
+      writer.byte(0x3B);
+      return new Blob([writer.result()], { type: 'image/gif' });
+    }
+  };
+};
@@ -0,0 +1,120 @@
+// src/utils/heliographicGrid.js
+// Latitude/longitude grid projected onto the solar disk for display overlays
+
+import { heliographicToPixel } from './solarCalculations';
+
+// Stroke styles of the grid lines by kind
+export const GRID_STYLES = {
+  latitude: { stroke: 'rgba(0, 255, 255, 0.45)', strokeWidth: 1 },
+  longitude: { stroke: 'rgba(0, 255, 255, 0.45)', strokeWidth: 1 },
+  equator: { stroke: 'rgba(255, 255, 0, 0.9)', strokeWidth: 1.5 },
+  meridian: { stroke: 'rgba(255, 165, 0, 0.9)', strokeWidth: 1.5 }
+};
+
+const normalizeLongitude = (longitude) => {
+  let L = longitude % 360;
+  if (L > 180) L -= 360;
+  if (L <= -180) L += 360;
+  return L;
+};
+
+/**
+ * Projects a curve on the sphere and splits it into the parts visible from
+ * the observer.
+ *
+ * @param {Array<{longitude: number, latitude: number}>} samples - Stonyhurst positions along the curve
+ * @param {Object} sunParams - Disk geometry in the target pixel space
+ * @param {Object} observer - Resolved observer
+ * @returns {number[][]} Visible segments as flat [x0, y0, x1, y1, ...] arrays
+ */
+const projectCurve = (samples, sunParams, observer) => {
+  const segments = [];
+  let current = [];
+
+  for (const { longitude, latitude } of samples) {
+    const { x, y, visible } = heliographicToPixel(longitude, latitude, sunParams, observer);
+    if (visible) {
+      current.push(x, y);
+    } else if (current.length > 0) {
+      if (current.length >= 4) segments.push(current);
+      current = [];
+    }
+  }
+  if (current.length >= 4) segments.push(current);
+
+  return segments;
+};
+
+const range = (start, end, step) => {
+  const values = [];
+  for (let value = start; value <= end + 1e-9; value += step) values.push(value);
+  return values;
+};
+
+/**
+ * Builds a heliographic grid for the given disk and observer. Lines are
+ * returned in the same pixel space as `sunParams`, so passing display-scaled
+ * parameters gives display coordinates directly.
+ *
+ * @param {{cx: number, cy: number, radius: number}} sunParams - Disk geometry
+ * @param {Object} observer - Resolved observer (B0, L0, P, ...)
+ * @param {Object} [options]
+ * @param {number} [options.spacing=15] - Grid spacing in degrees
+ * @param {string} [options.coordinateSystem='stonyhurst'] - Longitudes of the meridians: 'stonyhurst' or 'carrington'
+ * @param {number} [options.sampleStep=2] - Sampling step along each line in degrees
+ * @returns {{lines: Array<{kind: string, value: number, segments: number[][]}>, northPole: {x: number, y: number, visible: boolean}, northAxis: number[]}}
+ *   kind is 'latitude', 'longitude', 'equator' or 'meridian' (the central
+ *   meridian); northAxis is a short [x0, y0, x1, y1] tick pointing to solar
+ *   north just outside the limb
+ */
+export const buildHeliographicGrid = (sunParams, observer, { spacing = 15, coordinateSystem = 'stonyhurst', sampleStep = 2 } = {}) => {
+  const lines = [];
+  const longitudeSamples = range(-180, 180, sampleStep);
+  const latitudeSamples = range(-90, 90, sampleStep);
+
+  // Parallels, including the equator
+  for (const latitude of range(-90 + spacing, 90 - spacing, spacing)) {
+    lines.push({
+      kind: Math.abs(latitude) < 1e-9 ? 'equator' : 'latitude',
+      value: latitude,
+      segments: projectCurve(longitudeSamples.map(longitude => ({ longitude, latitude })), sunParams, observer)
+    });
+  }
+
+  // Meridians at multiples of the spacing in the chosen longitude system
+  const offset = coordinateSystem === 'carrington' ? observer.L0 : 0;
+  for (const value of range(0, 360 - spacing, spacing)) {
+    const longitude = normalizeLongitude(value - offset);
+    lines.push({
+      kind: 'longitude',
+      value,
+      segments: projectCurve(latitudeSamples.map(latitude => ({ longitude, latitude })), sunParams, observer)
+    });
+  }
+
+  // Central meridian (Stonyhurst longitude 0)
+  lines.push({
+    kind: 'meridian',
+    value: 0,
+    segments: projectCurve(latitudeSamples.map(latitude => ({ longitude: 0, latitude })), sunParams, observer)
+  });
+
+  const northPole = heliographicToPixel(0, 90, sunParams, observer);
+
+  // Direction of solar north on the image: up, rotated counter-clockwise by P
+  const P = observer.P * Math.PI / 180;
+  const nx = -Math.sin(P);
+  const ny = -Math.cos(P);
+  const northAxis = [
+    sunParams.cx + nx * sunParams.radius,
+    sunParams.cy + ny * sunParams.radius,
+    sunParams.cx + nx * sunParams.radius * 1.1,
+    sunParams.cy + ny * sunParams.radius * 1.1
+  ];
+
+  return {
+    lines,
+    northPole: { x: northPole.x, y: northPole.y, visible: northPole.visible },
+    northAxis
+  };
+};
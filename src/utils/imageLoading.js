@@ -0,0 +1,252 @@
+// src/utils/imageLoading.js
+// Decoding and first analysis of uploaded files. Runs inside the image loader
+// worker, or on the main thread where workers are unavailable.
+
+import {
+  parseFits,
+  flipFitsRows,
+  renderFitsToRGBA,
+  getSunParamsFromHeader,
+  getObservationTimeFromHeader,
+  parseFitsDate
+} from './fitsReader';
+import { determineImageCenterAndRadius } from './solarCalculations';
+import { createCanvas } from './imageProcessing';
+import { parseFilenameTimestamp, readExifTimestamp, EXIF_SCAN_BYTES } from './observationTime';
+
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg'];
+const FITS_EXTENSIONS = ['fits', 'fit'];
+
+// Larger side of the thumbnails, in pixels
+const THUMBNAIL_SIZE = 96;
+
+const splitName = (name) => {
+  const parts = name.split('.');
+  const extension = parts.length > 1 ? parts.pop().toLowerCase() : '';
+  return { baseName: parts.join('.'), extension };
+};
+
+/**
+ * Groups uploaded files into load tasks, one per image. A JSON metadata file
+ * with the same base name is attached to a PNG/JPG image; a FITS file wins
+ * over an image with the same base name. Other files are ignored.
+ *
+ * @param {File[]} files - Uploaded files
+ * @returns {Array<{name: string, baseName: string, kind: string, file: File, metadataFile: File|null}>}
+ *   kind is 'fits' or 'image'
+ */
+export const groupUploadFiles = (files) => {
+  const groups = {};
+  for (const file of files) {
+    const { baseName, extension } = splitName(file.name);
+    if (!groups[baseName]) groups[baseName] = {};
+    if (extension === 'json') {
+      groups[baseName].json = file;
+    } else if (IMAGE_EXTENSIONS.includes(extension)) {
+      groups[baseName].image = file;
+    } else if (FITS_EXTENSIONS.includes(extension)) {
+      groups[baseName].fits = file;
+    } else {
+      console.log(`Skipping unsupported file type: ${file.name}`);
+    }
+  }
+
+  const tasks = [];
+  for (const [baseName, group] of Object.entries(groups)) {
+    if (group.fits) {
+      tasks.push({ name: group.fits.name, baseName, kind: 'fits', file: group.fits, metadataFile: null });
+    } else if (group.image) {
+      tasks.push({ name: group.image.name, baseName, kind: 'image', file: group.image, metadataFile: group.json || null });
+    } else {
+      console.log(`No image file found for ${baseName}, skipping`);
+    }
+  }
+  return tasks;
+};
+
+/**
+ * Reads disk geometry, observation time and header from JSON metadata saved
+ * next to a PNG/JPG image: `sun_params` and `observation_time`, or FITS-style
+ * keywords (FNDLMB*, DATE-OBS/TIME-OBS) under `header`.
+ *
+ * @param {Object} metadata - Parsed JSON
+ * @returns {{header: Object|null, sunParams: Object|null, obsTime: Date|null}}
+ */
+export const parseImageMetadata = (metadata) => {
+  const header = metadata.header || null;
+  let sunParams = null;
+  let obsTime = null;
+
+  if (metadata.sun_params) {
+    sunParams = metadata.sun_params;
+  } else if (header && header.FNDLMBXC && header.FNDLMBYC && header.FNDLMBMI && header.FNDLMBMA) {
+    const minorAxis = parseFloat(header.FNDLMBMI);
+    const majorAxis = parseFloat(header.FNDLMBMA);
+    sunParams = {
+      cx: parseFloat(header.FNDLMBXC),
+      cy: parseFloat(header.FNDLMBYC),
+      radius: (minorAxis + majorAxis) / 2  // Average the axes only
+    };
+  }
+
+  if (metadata.observation_time) {
+    // Times without a zone suffix are UTC, as in FITS headers
+    obsTime = typeof metadata.observation_time === 'string'
+      ? parseFitsDate(metadata.observation_time)
+      : new Date(metadata.observation_time);
+  } else if (header && header['DATE-OBS']) {
+    obsTime = parseFitsDate(header['DATE-OBS'], header['TIME-OBS']);
+  }
+
+  return { header, sunParams, obsTime };
+};
+
+const canvasToBlob = (canvas) => {
+  if (canvas.convertToBlob) {
+    return canvas.convertToBlob({ type: 'image/png' });
+  }
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode image'))), 'image/png');
+  });
+};
+
+const renderThumbnail = (source, width, height) => {
+  const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(width, height));
+  const canvas = createCanvas(Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale)));
+  canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+  return createImageBitmap(canvas);
+};
+
+/**
+ * Loads one upload task: decodes the image, reads the FITS header or JSON
+ * metadata, detects the limb when no disk geometry is given and renders a
+ * thumbnail. The result can be posted from a worker. PNG/JPG images are
+ * displayed from the file itself; FITS data comes back as a PNG rendering in
+ * `displayBlob`.
+ *
+ * The observation time comes from the FITS header or JSON metadata, else from
+ * a timestamp in the filename, else from JPEG EXIF data; it is null (with a
+ * null `timeSource`) when none of these has one.
+ *
+ * @param {Object} task - Entry of groupUploadFiles
+ * @param {Object} options
+ * @param {boolean} options.forceFitsData - Use the disk geometry of FITS headers
+ * @param {boolean} options.assumeCentered - Skip limb detection
+ * @param {number} options.contourThreshold - Limb detection threshold in percent
+ * @returns {Promise<{name: string, obsTime: Date|null, timeSource: string|null, width: number, height: number,
+ *   sunParams: Object, paramsSource: string, limbFit: Object|null, header: Object|null, pixelData: Object|null,
+ *   displayBlob: Blob|null, thumbnail: ImageBitmap}>}
+ */
+export const loadUploadTask = async (task, { forceFitsData, assumeCentered, contourThreshold }) => {
+  let source;
+  let width;
+  let height;
+  let header = null;
+  let pixelData = null;
+  let sunParams = null;
+  let paramsSource = 'Detection';
+  let obsTime = null;
+  let timeSource = null;
+  let displayBlob = null;
+
+  if (task.kind === 'fits') {
+    const fits = parseFits(await task.file.arrayBuffer());
+    ({ width, height, header } = fits);
+    const pixels = flipFitsRows(fits.pixels, width, height);
+    pixelData = { pixels, width, height };
+
+    source = createCanvas(width, height);
+    source.getContext('2d').putImageData(new ImageData(renderFitsToRGBA(pixels, width, height), width, height), 0, 0);
+    displayBlob = await canvasToBlob(source);
+
+    obsTime = getObservationTimeFromHeader(header);
+    if (obsTime) timeSource = 'FITS Header';
+    const headerParams = getSunParamsFromHeader(header, width, height);
+    if (forceFitsData && headerParams) {
+      sunParams = headerParams;
+      paramsSource = 'FITS Header';
+    }
+  } else {
+    source = await createImageBitmap(task.file);
+    ({ width, height } = source);
+
+    if (task.metadataFile) {
+      try {
+        const metadata = parseImageMetadata(JSON.parse(await task.metadataFile.text()));
+        header = metadata.header;
+        if (metadata.obsTime && !Number.isNaN(metadata.obsTime.getTime())) {
+          obsTime = metadata.obsTime;
+          timeSource = 'JSON Metadata';
+        }
+        if (metadata.sunParams) {
+          sunParams = metadata.sunParams;
+          paramsSource = 'JSON Metadata';
+        }
+      } catch (error) {
+        console.error(`Error parsing JSON metadata ${task.metadataFile.name}:`, error);
+      }
+    }
+  }
+
+  if (!obsTime) {
+    obsTime = parseFilenameTimestamp(task.name);
+    if (obsTime) timeSource = 'Filename';
+  }
+  if (!obsTime && /\.jpe?g$/i.test(task.name)) {
+    try {
+      obsTime = readExifTimestamp(await task.file.slice(0, EXIF_SCAN_BYTES).arrayBuffer());
+      if (obsTime) timeSource = 'EXIF';
+    } catch (error) {
+      console.error(`Error reading EXIF data of ${task.name}:`, error);
+    }
+  }
+
+  let limbFit = null;
+  if (!sunParams) {
+    const { cx, cy, radius, quality } = determineImageCenterAndRadius(source, assumeCentered, contourThreshold, pixelData);
+    sunParams = { cx, cy, radius };
+    limbFit = quality;
+  }
+
+  const thumbnail = await renderThumbnail(source, width, height);
+  if (source.close) source.close();
+
+  return {
+    name: task.name,
+    obsTime,
+    timeSource,
+    width,
+    height,
+    sunParams,
+    paramsSource,
+    limbFit,
+    header,
+    pixelData,
+    displayBlob,
+    thumbnail
+  };
+};
+
+/**
+ * Limb detection for an already loaded image, e.g. after the detection
+ * settings change. Runs inside the image loader worker.
+ *
+ * @param {Object} input
+ * @param {number} input.imageWidth - Image width in original pixels
+ * @param {number} input.imageHeight - Image height in original pixels
+ * @param {{pixels: Float32Array, width: number, height: number, scale: number}} input.pixelData
+ *   Grayscale pixels, usually downsampled to LIMB_DETECTION_SIZE (size = image size × scale)
+ * @param {Object} options
+ * @param {boolean} options.assumeCentered - Skip limb detection
+ * @param {number} options.contourThreshold - Limb detection threshold in percent
+ * @returns {{sunParams: {cx: number, cy: number, radius: number}, limbFit: Object|null}} In original pixels
+ */
+export const redetectSunParams = ({ imageWidth, imageHeight, pixelData }, { assumeCentered, contourThreshold }) => {
+  const { cx, cy, radius, quality } = determineImageCenterAndRadius(
+    { width: imageWidth, height: imageHeight },
+    assumeCentered,
+    contourThreshold,
+    pixelData
+  );
+  return { sunParams: { cx, cy, radius }, limbFit: quality };
+};
@@ -0,0 +1,538 @@
+// src/utils/imageProcessing.js
+// Pixel access and image analysis helpers (limb detection, circle fitting)
+
+/**
+ * Creates a 2D canvas: a DOM canvas on the main thread, an OffscreenCanvas
+ * inside a worker.
+ *
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+export const createCanvas = (width, height) => {
+  if (typeof document === 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+/**
+ * Reads an image into a grayscale Float32Array, optionally downsampled so that
+ * the larger side is at most `maxSize` pixels.
+ *
+ * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} image - Source image
+ * @param {number} [maxSize] - Maximum width/height of the returned array
+ * @returns {{pixels: Float32Array, width: number, height: number, scale: number}}
+ *   scale maps returned pixel coordinates back to the source (source = returned / scale)
+ */
+export const getImagePixels = (image, maxSize = Infinity) => {
+  const sourceWidth = image.naturalWidth || image.width;
+  const sourceHeight = image.naturalHeight || image.height;
+  const scale = Math.min(1, maxSize / Math.max(sourceWidth, sourceHeight));
+  const width = Math.max(1, Math.round(sourceWidth * scale));
+  const height = Math.max(1, Math.round(sourceHeight * scale));
+
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(image, 0, 0, width, height);
+  const { data } = ctx.getImageData(0, 0, width, height);
+
+  const pixels = new Float32Array(width * height);
+  for (let i = 0; i < pixels.length; i++) {
+    // Rec. 601 luma
+    pixels[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+
+  return { pixels, width, height, scale: width / sourceWidth };
+};
+
+/**
+ * Nearest-neighbour downsampling of a pixel array so that the larger side is
+ * at most `maxSize`.
+ *
+ * @param {{pixels: Float32Array, width: number, height: number}} pixelData - Source pixels
+ * @param {number} maxSize - Maximum width/height
+ * @returns {{pixels: Float32Array, width: number, height: number, scale: number}}
+ */
+export const downsamplePixels = ({ pixels, width, height }, maxSize) => {
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  if (scale === 1) return { pixels, width, height, scale };
+
+  const newWidth = Math.max(1, Math.round(width * scale));
+  const newHeight = Math.max(1, Math.round(height * scale));
+  const result = new Float32Array(newWidth * newHeight);
+  for (let y = 0; y < newHeight; y++) {
+    const sy = Math.min(height - 1, Math.floor(y / scale));
+    for (let x = 0; x < newWidth; x++) {
+      const sx = Math.min(width - 1, Math.floor(x / scale));
+      result[y * newWidth + x] = pixels[sy * width + sx];
+    }
+  }
+  return { pixels: result, width: newWidth, height: newHeight, scale: newWidth / width };
+};
+
+/**
+ * Value at the given percentile of the finite pixels (estimated from a subsample).
+ *
+ * @param {Float32Array} pixels - Pixel values
+ * @param {number} percentile - 0-100
+ * @returns {number}
+ */
+export const percentile = (pixels, percentile) => {
+  const step = Math.max(1, Math.floor(pixels.length / 100000));
+  const sample = [];
+  for (let i = 0; i < pixels.length; i += step) {
+    if (Number.isFinite(pixels[i])) sample.push(pixels[i]);
+  }
+  if (sample.length === 0) return 0;
+  sample.sort((a, b) => a - b);
+  return sample[Math.floor((sample.length - 1) * percentile / 100)];
+};
+
+/**
+ * Algebraic (Kasa) least-squares circle fit to a set of points.
+ *
+ * @param {Array<{x: number, y: number}>} points - At least 3 non-collinear points
+ * @returns {{cx: number, cy: number, radius: number}|null} null for degenerate input
+ */
+const fitCircleOnce = (points) => {
+  const n = points.length;
+  if (n < 3) return null;
+
+  // Center the points to keep the normal equations well conditioned
+  let meanX = 0;
+  let meanY = 0;
+  for (const p of points) {
+    meanX += p.x;
+    meanY += p.y;
+  }
+  meanX /= n;
+  meanY /= n;
+
+  let suu = 0, svv = 0, suv = 0, suuu = 0, svvv = 0, suvv = 0, svuu = 0;
+  for (const p of points) {
+    const u = p.x - meanX;
+    const v = p.y - meanY;
+    suu += u * u;
+    svv += v * v;
+    suv += u * v;
+    suuu += u * u * u;
+    svvv += v * v * v;
+    suvv += u * v * v;
+    svuu += v * u * u;
+  }
+
+  const det = suu * svv - suv * suv;
+  if (Math.abs(det) < 1e-12) return null;
+
+  const bu = 0.5 * (suuu + suvv);
+  const bv = 0.5 * (svvv + svuu);
+  const uc = (bu * svv - bv * suv) / det;
+  const vc = (bv * suu - bu * suv) / det;
+  const radius = Math.sqrt(uc * uc + vc * vc + (suu + svv) / n);
+
+  return { cx: uc + meanX, cy: vc + meanY, radius };
+};
+
+/**
+ * Least-squares circle fit with iterative outlier rejection. Points whose
+ * radial residual exceeds `rejectSigma` robust standard deviations (from the
+ * median absolute deviation) are dropped and the fit repeated.
+ *
+ * @param {Array<{x: number, y: number}>} points - Points on the circle
+ * @param {Object} [options]
+ * @param {number} [options.rejectSigma=3] - Rejection threshold
+ * @param {number} [options.maxIterations=5] - Maximum rejection passes
+ * @returns {{cx: number, cy: number, radius: number, rms: number, residuals: number[], inliers: number, total: number}|null}
+ *   residuals are signed (distance - radius) for every input point
+ */
+export const fitCircle = (points, { rejectSigma = 3, maxIterations = 5 } = {}) => {
+  let inliers = points;
+  let fit = fitCircleOnce(inliers);
+  if (!fit) return null;
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    const residuals = inliers.map(p => Math.hypot(p.x - fit.cx, p.y - fit.cy) - fit.radius);
+    const absolute = residuals.map(Math.abs).sort((a, b) => a - b);
+    const mad = absolute[Math.floor(absolute.length / 2)];
+    const limit = Math.max(rejectSigma * 1.4826 * mad, 0.5);
+
+    const kept = inliers.filter((p, i) => Math.abs(residuals[i]) <= limit);
+    if (kept.length === inliers.length || kept.length < 3) break;
+
+    const refit = fitCircleOnce(kept);
+    if (!refit) break;
+    inliers = kept;
+    fit = refit;
+  }
+
+  const residuals = points.map(p => Math.hypot(p.x - fit.cx, p.y - fit.cy) - fit.radius);
+  const inlierResiduals = inliers.map(p => Math.hypot(p.x - fit.cx, p.y - fit.cy) - fit.radius);
+  const rms = Math.sqrt(inlierResiduals.reduce((sum, r) => sum + r * r, 0) / inlierResiduals.length);
+
+  return { ...fit, rms, residuals, inliers: inliers.length, total: points.length };
+};
+
+/**
+ * Finds the solar limb by thresholding and fits a circle to the edge points.
+ * The threshold is `thresholdPercent` of the way from the background level
+ * (2nd percentile) to the disk level (99th percentile). Edge points are the
+ * first and last above-threshold pixel of every row and column, interpolated
+ * to sub-pixel precision.
+ *
+ * @param {Float32Array} pixels - Grayscale pixels, top-down rows
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} thresholdPercent - Threshold between background and disk (1-99)
+ * @returns {{cx: number, cy: number, radius: number, rms: number, inliers: number, total: number}|null}
+ */
+export const detectLimb = (pixels, width, height, thresholdPercent) => {
+  const background = percentile(pixels, 2);
+  const disk = percentile(pixels, 99);
+  if (!(disk > background)) return null;
+  const threshold = background + (disk - background) * thresholdPercent / 100;
+
+  const points = [];
+  const value = (x, y) => {
+    const v = pixels[y * width + x];
+    return Number.isFinite(v) ? v : background;
+  };
+
+  // Sub-pixel position of the crossing between an outside and inside pixel
+  const crossing = (outside, inside) => {
+    const delta = inside - outside;
+    return delta !== 0 ? (threshold - outside) / delta : 0.5;
+  };
+
+  // Require a short run of above-threshold pixels to ignore isolated noise
+  const minRun = 3;
+  const isInside = (get, i, length) => {
+    for (let k = 0; k < minRun; k++) {
+      if (i + k >= length || get(i + k) < threshold) return false;
+    }
+    return true;
+  };
+  const isInsideBackwards = (get, i) => {
+    for (let k = 0; k < minRun; k++) {
+      if (i - k < 0 || get(i - k) < threshold) return false;
+    }
+    return true;
+  };
+
+  const scanLine = (get, length, toPoint) => {
+    let first = -1;
+    for (let i = 1; i < length; i++) {
+      if (isInside(get, i, length)) {
+        first = i;
+        break;
+      }
+    }
+    if (first < 0) return;
+
+    let last = -1;
+    for (let i = length - 2; i > first; i--) {
+      if (isInsideBackwards(get, i)) {
+        last = i;
+        break;
+      }
+    }
+    if (last < 0) return;
+
+    // Skip edges where the disk runs off the image border
+    if (get(first - 1) < threshold) {
+      points.push(toPoint(first - 1 + crossing(get(first - 1), get(first))));
+    }
+    if (get(last + 1) < threshold) {
+      points.push(toPoint(last + 1 - crossing(get(last + 1), get(last))));
+    }
+  };
+
+  for (let y = 0; y < height; y++) {
+    scanLine(x => value(x, y), width, position => ({ x: position, y }));
+  }
+  for (let x = 0; x < width; x++) {
+    scanLine(y => value(x, y), height, position => ({ x, y: position }));
+  }
+
+  if (points.length < 10) return null;
+
+  const fit = fitCircle(points);
+  if (!fit) return null;
+
+  const { cx, cy, radius, rms, inliers, total } = fit;
+  return { cx, cy, radius, rms, inliers, total };
+};
+
+const pixelCache = new WeakMap();
+
+/**
+ * Full-resolution grayscale pixels for an image entry: the raw values when the
+ * entry carries them (FITS), otherwise the decoded image (cached per image).
+ *
+ * @param {{image: HTMLImageElement, pixelData?: Object}} imageEntry - Entry of the images map
+ * @returns {{pixels: Float32Array, width: number, height: number}}
+ */
+export const getAnalysisPixels = (imageEntry) => {
+  if (imageEntry.pixelData) return imageEntry.pixelData;
+
+  let cached = pixelCache.get(imageEntry.image);
+  if (!cached) {
+    cached = getImagePixels(imageEntry.image);
+    pixelCache.set(imageEntry.image, cached);
+  }
+  return cached;
+};
+
+/**
+ * Locates a dark feature (sunspot umbra/penumbra) inside a rectangle.
+ * The local background is the 90th percentile of the box; each pixel is
+ * weighted by how much darker than that it is.
+ *
+ * @param {{pixels: Float32Array, width: number, height: number}} pixelData - Grayscale pixels
+ * @param {{x: number, y: number, width: number, height: number}} rect - Box in pixel coordinates
+ * @returns {{centroid: {x: number, y: number}, darkest: {x: number, y: number}, contrast: number}|null}
+ *   contrast is 1 - darkest / background; null if the box is empty
+ */
+export const findFeatureCentroid = ({ pixels, width, height }, rect) => {
+  const left = Math.max(0, Math.floor(rect.x));
+  const top = Math.max(0, Math.floor(rect.y));
+  const right = Math.min(width - 1, Math.ceil(rect.x + rect.width));
+  const bottom = Math.min(height - 1, Math.ceil(rect.y + rect.height));
+  if (right < left || bottom < top) return null;
+
+  const values = [];
+  for (let y = top; y <= bottom; y++) {
+    for (let x = left; x <= right; x++) {
+      const v = pixels[y * width + x];
+      if (Number.isFinite(v)) values.push(v);
+    }
+  }
+  if (values.length === 0) return null;
+  values.sort((a, b) => a - b);
+  const background = values[Math.floor((values.length - 1) * 0.9)];
+
+  // Darkest position from a 3x3 box-smoothed image to avoid single noisy pixels
+  const smoothed = (x, y) => {
+    let sum = 0;
+    let count = 0;
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const sx = x + dx;
+        const sy = y + dy;
+        if (sx < left || sx > right || sy < top || sy > bottom) continue;
+        const v = pixels[sy * width + sx];
+        if (Number.isFinite(v)) {
+          sum += v;
+          count++;
+        }
+      }
+    }
+    return count > 0 ? sum / count : Infinity;
+  };
+
+  let weightSum = 0;
+  let sumX = 0;
+  let sumY = 0;
+  let darkestValue = Infinity;
+  let darkest = { x: (left + right) / 2, y: (top + bottom) / 2 };
+
+  for (let y = top; y <= bottom; y++) {
+    for (let x = left; x <= right; x++) {
+      const v = pixels[y * width + x];
+      if (!Number.isFinite(v)) continue;
+
+      const weight = Math.max(0, background - v);
+      weightSum += weight;
+      sumX += weight * x;
+      sumY += weight * y;
+
+      const local = smoothed(x, y);
+      if (local < darkestValue) {
+        darkestValue = local;
+        darkest = { x, y };
+      }
+    }
+  }
+
+  const centroid = weightSum > 0
+    ? { x: sumX / weightSum, y: sumY / weightSum }
+    : { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
+
+  return {
+    centroid,
+    darkest,
+    contrast: background > 0 ? 1 - darkestValue / background : 0
+  };
+};
+
+/**
+ * Radial intensity profile of the disk: median intensity in `bins` annuli
+ * of normalized radius r/R. Used as the limb-darkening reference.
+ *
+ * @param {{pixels: Float32Array, width: number, height: number}} pixelData - Grayscale pixels
+ * @param {{cx: number, cy: number, radius: number}} sunParams - Disk geometry in the same pixels
+ * @param {number} [bins=50] - Number of annuli
+ * @returns {(r: number) => number} Interpolated profile as a function of r/R
+ */
+export const radialProfile = ({ pixels, width, height }, sunParams, bins = 50) => {
+  const { cx, cy, radius } = sunParams;
+  const samples = Array.from({ length: bins }, () => []);
+
+  const top = Math.max(0, Math.floor(cy - radius));
+  const bottom = Math.min(height - 1, Math.ceil(cy + radius));
+  const left = Math.max(0, Math.floor(cx - radius));
+  const right = Math.min(width - 1, Math.ceil(cx + radius));
+  for (let y = top; y <= bottom; y++) {
+    for (let x = left; x <= right; x++) {
+      const r = Math.hypot(x - cx, y - cy) / radius;
+      const v = pixels[y * width + x];
+      if (r < 1 && Number.isFinite(v)) {
+        samples[Math.min(bins - 1, Math.floor(r * bins))].push(v);
+      }
+    }
+  }
+
+  const medians = samples.map(values => {
+    if (values.length === 0) return NaN;
+    values.sort((a, b) => a - b);
+    return values[Math.floor(values.length / 2)];
+  });
+
+  // Fill empty bins from their neighbours
+  for (let i = 0; i < bins; i++) {
+    if (Number.isNaN(medians[i])) {
+      medians[i] = i > 0 ? medians[i - 1] : medians.find(v => !Number.isNaN(v)) || 1;
+    }
+  }
+
+  return (r) => {
+    const position = Math.min(bins - 1, Math.max(0, r * bins - 0.5));
+    const i = Math.floor(position);
+    const fraction = position - i;
+    const next = Math.min(bins - 1, i + 1);
+    return medians[i] * (1 - fraction) + medians[next] * fraction;
+  };
+};
+
+/**
+ * Finds dark features on the disk: pixels darker than the limb-darkening
+ * profile by more than `contrastThreshold` are grouped into 8-connected
+ * components. Areas are given in pixels and in millionths of the solar
+ * hemisphere (MSH), corrected for foreshortening.
+ *
+ * @param {{pixels: Float32Array, width: number, height: number}} pixelData - Grayscale pixels
+ * @param {{cx: number, cy: number, radius: number}} sunParams - Disk geometry in the same pixels
+ * @param {Object} [options]
+ * @param {number} [options.contrastThreshold=0.15] - Minimum relative darkening (0-1)
+ * @param {number} [options.minArea=4] - Minimum component size in analysed pixels
+ * @param {number} [options.maxRadius=0.97] - Ignore pixels beyond this fraction of the radius
+ * @param {number} [options.maxSize=1024] - Analyse a copy downsampled to this size
+ * @returns {Array<{id: number, x: number, y: number, area: number, areaMsh: number, contrast: number, bbox: Object}>}
+ *   Features in the input pixel coordinates, largest first
+ */
+export const detectSunspots = (pixelData, sunParams, {
+  contrastThreshold = 0.15,
+  minArea = 4,
+  maxRadius = 0.97,
+  maxSize = 1024
+} = {}) => {
+  const sampled = downsamplePixels(pixelData, maxSize);
+  const { pixels, width, height, scale } = sampled;
+  const cx = (sunParams.cx + 0.5) * scale - 0.5;
+  const cy = (sunParams.cy + 0.5) * scale - 0.5;
+  const radius = sunParams.radius * scale;
+  const profile = radialProfile(sampled, { cx, cy, radius });
+
+  // Relative intensity against the limb-darkened disk; 0 marks "not a candidate"
+  const relative = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const r = Math.hypot(x - cx, y - cy) / radius;
+      const v = pixels[y * width + x];
+      if (r >= maxRadius || !Number.isFinite(v)) continue;
+      const ratio = v / profile(r);
+      if (ratio < 1 - contrastThreshold) {
+        relative[y * width + x] = Math.max(ratio, 1e-6);
+      }
+    }
+  }
+
+  const labels = new Int32Array(width * height);
+  const features = [];
+  const stack = [];
+  let nextLabel = 1;
+
+  for (let start = 0; start < relative.length; start++) {
+    if (relative[start] === 0 || labels[start] !== 0) continue;
+
+    const label = nextLabel++;
+    labels[start] = label;
+    stack.push(start);
+
+    let count = 0;
+    let weightSum = 0;
+    let sumX = 0;
+    let sumY = 0;
+    let minRatio = 1;
+    let hemisphereArea = 0;
+    let minX = width, minY = height, maxX = 0, maxY = 0;
+
+    while (stack.length > 0) {
+      const index = stack.pop();
+      const x = index % width;
+      const y = (index - x) / width;
+      const ratio = relative[index];
+
+      const weight = 1 - ratio;
+      count++;
+      weightSum += weight;
+      sumX += weight * x;
+      sumY += weight * y;
+      minRatio = Math.min(minRatio, ratio);
+      minX = Math.min(minX, x);
+      maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y);
+      maxY = Math.max(maxY, y);
+
+      // Foreshortening: a pixel at mu covers 1/mu of surface
+      const r = Math.hypot(x - cx, y - cy) / radius;
+      hemisphereArea += 1 / Math.max(Math.sqrt(1 - r * r), 0.05);
+
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+          const neighbour = ny * width + nx;
+          if (relative[neighbour] !== 0 && labels[neighbour] === 0) {
+            labels[neighbour] = label;
+            stack.push(neighbour);
+          }
+        }
+      }
+    }
+
+    if (count < minArea) continue;
+
+    const toSource = (v) => (v + 0.5) / scale - 0.5;
+    features.push({
+      id: label,
+      x: toSource(sumX / weightSum),
+      y: toSource(sumY / weightSum),
+      area: count / (scale * scale),
+      areaMsh: 1e6 * hemisphereArea / (2 * Math.PI * radius * radius),
+      contrast: 1 - minRatio,
+      bbox: {
+        x: minX / scale,
+        y: minY / scale,
+        width: (maxX - minX + 1) / scale,
+        height: (maxY - minY + 1) / scale
+      }
+    });
+  }
+
+  return features.sort((a, b) => b.area - a.area);
+};
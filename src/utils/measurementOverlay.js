@@ -0,0 +1,111 @@
+// src/utils/measurementOverlay.js
+// Markers for recorded measurements on the displayed image
+
+import { heliographicToPixel } from './solarCalculations';
+import { carringtonDriftRate } from './featureTracking';
+
+const MS_PER_DAY = 86400000;
+
+// Marker colors assigned to feature labels
+const LABEL_COLORS = ['#00e5ff', '#ff9100', '#76ff03', '#ff4081', '#ffea00', '#b388ff', '#64ffda', '#ff5252'];
+const UNLABELLED_COLOR = '#ffffff';
+
+/**
+ * Stable marker color for a feature label.
+ *
+ * @param {string} label - Feature label
+ * @returns {string} CSS color
+ */
+export const labelColor = (label) => {
+  if (!label) return UNLABELLED_COLOR;
+  let hash = 0;
+  for (let i = 0; i < label.length; i++) {
+    hash = (hash * 31 + label.charCodeAt(i)) | 0;
+  }
+  return LABEL_COLORS[Math.abs(hash) % LABEL_COLORS.length];
+};
+
+const parseTime = (value) => {
+  const time = new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+};
+
+/**
+ * Builds the measurement markers for one image. Measurements made on the image
+ * are placed at their recorded pixel position; with `includeGhosts`, every
+ * labelled measurement from other frames is rotated to the observation time of
+ * the image with the feature's Carrington drift rate and projected onto the
+ * disk, showing where the feature is expected.
+ *
+ * @param {Object} params
+ * @param {Object[]} params.measurements - All measurements
+ * @param {string} params.imageName - Filename of the displayed image
+ * @param {Date|null} params.obsTime - Observation time of the displayed image
+ * @param {{cx: number, cy: number, radius: number}} params.sunParams - Calibrated disk geometry in display pixels
+ * @param {Object|null} params.observer - Resolved observer of the displayed image
+ * @param {number} params.imageScale - Display pixels per original image pixel
+ * @param {boolean} [params.includeGhosts=false] - Add rotated markers from other frames
+ * @returns {{markers: Array<{id: string, x: number, y: number, label: string, color: string}>,
+ *   ghosts: Array<{id: string, x: number, y: number, label: string, color: string, image: string, days: number}>}}
+ */
+export const buildMeasurementOverlay = ({
+  measurements,
+  imageName,
+  obsTime,
+  sunParams,
+  observer,
+  imageScale,
+  includeGhosts = false
+}) => {
+  const markers = [];
+  const ghosts = [];
+  const canProject = observer && sunParams && sunParams.radius > 0;
+
+  for (const m of measurements) {
+    if (m.image !== imageName) continue;
+    let position = null;
+    if (Number.isFinite(m.pixelX) && Number.isFinite(m.pixelY)) {
+      position = { x: m.pixelX * imageScale, y: m.pixelY * imageScale };
+    } else if (canProject) {
+      // Imported records may lack pixel positions
+      const projected = heliographicToPixel(m.stonyhurstLongitude, m.helioLatitude, sunParams, observer);
+      if (projected.visible) position = { x: projected.x, y: projected.y };
+    }
+    if (position) {
+      markers.push({ id: m.id, ...position, label: m.label || '', color: labelColor(m.label) });
+    }
+  }
+
+  const time = obsTime ? obsTime.getTime() : null;
+  if (!includeGhosts || !canProject || !Number.isFinite(time)) {
+    return { markers, ghosts };
+  }
+
+  // Group the labelled measurements so each feature uses its own drift rate
+  const byLabel = new Map();
+  for (const m of measurements) {
+    if (!m.label) continue;
+    if (!byLabel.has(m.label)) byLabel.set(m.label, []);
+    byLabel.get(m.label).push(m);
+  }
+
+  for (const [label, featureMeasurements] of byLabel) {
+    const color = labelColor(label);
+    for (const m of featureMeasurements) {
+      if (m.image === imageName) continue;
+      const measuredTime = parseTime(m.observationTime);
+      if (measuredTime === null || !Number.isFinite(m.carringtonLongitude) || !Number.isFinite(m.helioLatitude)) {
+        continue;
+      }
+
+      const days = (time - measuredTime) / MS_PER_DAY;
+      const longitude = m.carringtonLongitude + carringtonDriftRate(featureMeasurements, m.helioLatitude) * days;
+      const projected = heliographicToPixel(longitude - observer.L0, m.helioLatitude, sunParams, observer);
+      if (!projected.visible) continue;
+
+      ghosts.push({ id: m.id, x: projected.x, y: projected.y, label, color, image: m.image, days });
+    }
+  }
+
+  return { markers, ghosts };
+};
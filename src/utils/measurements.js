@@ -0,0 +1,72 @@
+// src/utils/measurements.js
+// Construction of measurement records shared by manual and automatic measuring
+
+let idCounter = 0;
+
+/**
+ * Unique id for a measurement record, used to select, edit and delete rows.
+ *
+ * @returns {string}
+ */
+export const createMeasurementId = () => {
+  idCounter += 1;
+  return `m-${Date.now().toString(36)}-${idCounter}`;
+};
+
+/**
+ * Gives every measurement an id (records saved before ids existed lack one).
+ *
+ * @param {Object[]} measurements - Measurement records
+ * @returns {Object[]} The same records, with ids filled in where missing
+ */
+export const ensureMeasurementIds = (measurements) => measurements.map(m => (
+  m.id ? m : { id: createMeasurementId(), ...m }
+));
+
+/**
+ * Builds a measurement record. Every record carries the same fields so that
+ * CSV export produces consistent columns.
+ *
+ * @param {Object} params
+ * @param {string} params.image - Image filename
+ * @param {Date|null} params.obsTime - Observation time
+ * @param {{x: number, y: number}} params.pixel - Position in original image pixels
+ * @param {{stonyhurstLongitude: number, carringtonLongitude: number, latitude: number}} params.coords
+ *   Heliographic coordinates of the position
+ * @param {{cx: number, cy: number, radius: number}} params.sunParams - Disk geometry used
+ * @param {string} [params.label] - Feature label
+ * @param {{areaMsh?: number, contrast?: number}} [params.stats] - Feature statistics
+ * @param {number|null} [params.trackConfidence] - Confidence of an automatic tracking match (0-1)
+ * @param {boolean} [params.flagged] - Marked for review
+ * @returns {Object}
+ */
+export const createMeasurement = ({
+  image,
+  obsTime,
+  pixel,
+  coords,
+  sunParams,
+  label = '',
+  stats = null,
+  trackConfidence = null,
+  flagged = false
+}) => {
+  const distance = Math.hypot(pixel.x - sunParams.cx, pixel.y - sunParams.cy);
+
+  return {
+    id: createMeasurementId(),
+    image,
+    observationTime: obsTime ? obsTime.toISOString() : 'Unknown',
+    pixelX: pixel.x,
+    pixelY: pixel.y,
+    stonyhurstLongitude: coords.stonyhurstLongitude,
+    carringtonLongitude: coords.carringtonLongitude,
+    helioLatitude: coords.latitude,
+    distancePercent: (distance / sunParams.radius) * 100,
+    areaMsh: stats && stats.areaMsh !== undefined ? stats.areaMsh : null,
+    contrast: stats && stats.contrast !== undefined ? stats.contrast : null,
+    trackConfidence,
+    flagged,
+    label
+  };
+};
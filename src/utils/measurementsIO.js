@@ -0,0 +1,287 @@
+// src/utils/measurementsIO.js
+// Reading exported measurement files (CSV or JSON) back into measurement records
+
+import Papa from 'papaparse';
+import { resolveObserver } from './ephemeris';
+import { pixelToHeliographic } from './solarCalculations';
+import { createMeasurementId } from './measurements';
+
+const NUMERIC_FIELDS = [
+  'pixelX',
+  'pixelY',
+  'stonyhurstLongitude',
+  'carringtonLongitude',
+  'helioLatitude',
+  'distancePercent',
+  'areaMsh',
+  'contrast',
+  'trackConfidence'
+];
+
+// Columns without which a row cannot be used
+export const REQUIRED_COLUMNS = ['image', 'observationTime', 'helioLatitude'];
+// At least one longitude column must be present; the other is derived
+const LONGITUDE_COLUMNS = ['stonyhurstLongitude', 'carringtonLongitude'];
+// Single longitude column of exports made before Stonyhurst/Carrington were split.
+// Its disk mapping was wrong, so those rows are reconverted from their pixel position
+const LEGACY_LONGITUDE_COLUMN = 'helioLongitude';
+
+const toNumber = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const trimmed = String(value).trim();
+  if (trimmed === '' || trimmed === 'null' || trimmed === 'undefined') return null;
+  const number = Number(trimmed);
+  return Number.isFinite(number) ? number : null;
+};
+
+const toBoolean = (value) => value === true || String(value).trim().toLowerCase() === 'true';
+
+const normalize360 = (angle) => ((angle % 360) + 360) % 360;
+
+const normalize180 = (angle) => {
+  const wrapped = normalize360(angle);
+  return wrapped > 180 ? wrapped - 360 : wrapped;
+};
+
+/**
+ * Reads a measurements file exported from the panel.
+ * CSV files need a header row; JSON files hold an array of records or an
+ * object with a `measurements` array.
+ *
+ * @param {File} file - CSV or JSON file
+ * @returns {Promise<{rows: Object[], columns: string[]}>} Raw rows and the column names found
+ */
+export const readMeasurementsFile = async (file) => {
+  const text = await file.text();
+  const isJson = file.name.toLowerCase().endsWith('.json') || text.trim().startsWith('[') || text.trim().startsWith('{');
+
+  if (isJson) {
+    const parsed = JSON.parse(text);
+    const rows = Array.isArray(parsed) ? parsed : parsed.measurements;
+    if (!Array.isArray(rows)) {
+      throw new Error('JSON file does not contain a measurements array');
+    }
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row || {})))];
+    return { rows, columns };
+  }
+
+  const result = Papa.parse(text, { header: true, skipEmptyLines: true });
+  if (result.errors.length > 0) {
+    console.warn('CSV parse warnings:', result.errors);
+  }
+  return { rows: result.data, columns: result.meta.fields || [] };
+};
+
+/**
+ * Checks that the columns needed to rebuild measurements are present.
+ *
+ * @param {string[]} columns - Column names
+ * @returns {string[]} Missing columns (empty when valid)
+ */
+export const validateMeasurementColumns = (columns) => {
+  const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+  if (![...LONGITUDE_COLUMNS, LEGACY_LONGITUDE_COLUMN].some(column => columns.includes(column))) {
+    missing.push(LONGITUDE_COLUMNS.join(' or '));
+  }
+  return missing;
+};
+
+/**
+ * Finds the loaded image a measurement refers to: the exact name, the name
+ * ignoring case, or an image with the same base name (e.g. a PNG export of
+ * the same FITS observation).
+ *
+ * @param {string} name - Image name from the file
+ * @param {string[]} imageNames - Loaded image names
+ * @returns {string|null} Matching loaded image name
+ */
+export const reconcileImageName = (name, imageNames) => {
+  if (imageNames.includes(name)) return name;
+
+  const lower = name.toLowerCase();
+  const caseMatch = imageNames.find(candidate => candidate.toLowerCase() === lower);
+  if (caseMatch) return caseMatch;
+
+  const baseName = (filename) => filename.toLowerCase().replace(/\.[^.]+$/, '');
+  const base = baseName(name);
+  const baseMatches = imageNames.filter(candidate => baseName(candidate) === base);
+  return baseMatches.length === 1 ? baseMatches[0] : null;
+};
+
+/**
+ * Converts raw rows into measurement records, matching them against the
+ * loaded images. A missing longitude column is derived from the other one
+ * using the observer's Carrington longitude at the observation time. Rows
+ * with only the legacy `helioLongitude` column are recomputed from their pixel
+ * position on the matched image, and rejected when that image is not loaded.
+ *
+ * @param {Object[]} rows - Raw rows from readMeasurementsFile
+ * @param {Object} params
+ * @param {string[]} params.imageNames - Loaded image names
+ * @param {Object} [params.observerOverrides] - Header observer values keyed by image name
+ * @param {Object} [params.sunParamsByImage] - Calibrated disk geometry (original pixels) keyed by image name
+ * @param {boolean} [params.keepUnmatched] - Import rows whose image is not loaded
+ * @returns {{measurements: Object[], rejected: Array<{line: number, image: string, reason: string}>, unmatched: Array<{line: number, image: string}>, warnings: string[]}}
+ *   rejected rows are not imported; unmatched rows are imported but their image
+ *   is not loaded. Line numbers count the CSV header as line 1
+ */
+export const rowsToMeasurements = (rows, { imageNames, observerOverrides = {}, sunParamsByImage = {}, keepUnmatched = true }) => {
+  const measurements = [];
+  const rejected = [];
+  const unmatched = [];
+  let legacyRows = 0;
+
+  rows.forEach((row, index) => {
+    const line = index + 2;
+    if (!row || typeof row !== 'object') {
+      rejected.push({ line, image: '', reason: 'Not a record' });
+      return;
+    }
+    const image = row.image !== undefined && row.image !== null ? String(row.image).trim() : '';
+    const reject = (reason) => rejected.push({ line, image, reason });
+
+    if (!image) {
+      reject('Missing image name');
+      return;
+    }
+
+    const values = {};
+    for (const field of NUMERIC_FIELDS) {
+      values[field] = toNumber(row[field]);
+    }
+
+    const matched = reconcileImageName(image, imageNames);
+    const observationTime = row.observationTime ? String(row.observationTime).trim() : 'Unknown';
+    const time = new Date(observationTime);
+
+    const isLegacy = values.stonyhurstLongitude === null && values.carringtonLongitude === null
+      && toNumber(row[LEGACY_LONGITUDE_COLUMN]) !== null;
+    if (isLegacy) {
+      const disk = matched ? sunParamsByImage[matched] : null;
+      if (!disk || values.pixelX === null || values.pixelY === null || Number.isNaN(time.getTime())) {
+        reject('Legacy longitude cannot be converted (needs the loaded image, pixel position and observation time)');
+        return;
+      }
+      const hg = pixelToHeliographic(
+        values.pixelX,
+        values.pixelY,
+        disk,
+        resolveObserver(time, observerOverrides[matched] || {})
+      );
+      values.stonyhurstLongitude = normalize180(hg.longitude);
+      values.carringtonLongitude = normalize360(hg.carringtonLongitude);
+      values.helioLatitude = hg.latitude;
+      values.distancePercent = (Math.hypot(values.pixelX - disk.cx, values.pixelY - disk.cy) / disk.radius) * 100;
+      legacyRows += 1;
+    }
+
+    if (values.helioLatitude === null) {
+      reject('Missing latitude');
+      return;
+    }
+    if (values.stonyhurstLongitude === null && values.carringtonLongitude === null) {
+      reject('Missing longitude');
+      return;
+    }
+
+    if (!matched && !keepUnmatched) {
+      reject('Image not loaded');
+      return;
+    }
+
+    // Derive whichever longitude is missing from L0 at the observation time
+    if (values.stonyhurstLongitude === null || values.carringtonLongitude === null) {
+      if (Number.isNaN(time.getTime())) {
+        reject('Cannot derive the missing longitude without an observation time');
+        return;
+      }
+      const { L0 } = resolveObserver(time, observerOverrides[matched] || {});
+      if (values.carringtonLongitude === null) {
+        values.carringtonLongitude = normalize360(values.stonyhurstLongitude + L0);
+      } else {
+        values.stonyhurstLongitude = normalize180(values.carringtonLongitude - L0);
+      }
+    }
+
+    // Same field order as createMeasurement; ids are always fresh so merged files cannot collide
+    measurements.push({
+      id: createMeasurementId(),
+      image: matched || image,
+      observationTime,
+      pixelX: values.pixelX,
+      pixelY: values.pixelY,
+      stonyhurstLongitude: values.stonyhurstLongitude,
+      carringtonLongitude: values.carringtonLongitude,
+      helioLatitude: values.helioLatitude,
+      distancePercent: values.distancePercent,
+      areaMsh: values.areaMsh,
+      contrast: values.contrast,
+      trackConfidence: values.trackConfidence,
+      flagged: toBoolean(row.flagged),
+      label: row.label !== undefined && row.label !== null ? String(row.label) : ''
+    });
+
+    if (!matched) {
+      unmatched.push({ line, image });
+    }
+  });
+
+  const warnings = legacyRows > 0
+    ? [`${legacyRows} row(s) from an older export: coordinates recomputed from the pixel position on the loaded image (${LEGACY_LONGITUDE_COLUMN} ignored)`]
+    : [];
+
+  return { measurements, rejected, unmatched, warnings };
+};
+
+// Identity of a measurement for duplicate detection on merge
+const measurementKey = (m) => [
+  m.image,
+  m.label,
+  m.pixelX === null ? '' : m.pixelX.toFixed(2),
+  m.pixelY === null ? '' : m.pixelY.toFixed(2),
+  m.carringtonLongitude.toFixed(3),
+  m.helioLatitude.toFixed(3)
+].join('|');
+
+/**
+ * Combines imported measurements with the current ones.
+ *
+ * @param {Object[]} current - Current measurements
+ * @param {Object[]} imported - Imported measurements
+ * @param {string} mode - 'merge' (skip duplicates) or 'replace'
+ * @returns {{measurements: Object[], added: number, duplicates: number}}
+ */
+export const combineMeasurements = (current, imported, mode) => {
+  if (mode === 'replace') {
+    return { measurements: imported, added: imported.length, duplicates: 0 };
+  }
+
+  const existing = new Set(current.map(measurementKey));
+  const added = imported.filter(m => {
+    const key = measurementKey(m);
+    if (existing.has(key)) return false;
+    existing.add(key);
+    return true;
+  });
+
+  return {
+    measurements: [...current, ...added],
+    added: added.length,
+    duplicates: imported.length - added.length
+  };
+};
+
+/**
+ * Serializes measurements as CSV with a header row. Missing values are left
+ * empty so the file reads back cleanly.
+ *
+ * @param {Object[]} measurements - Measurements to export
+ * @returns {string}
+ */
+export const measurementsToCSV = (measurements) => Papa.unparse(
+  measurements.map(m => Object.fromEntries(
+    Object.entries(m).map(([key, value]) => [key, value === null || value === undefined ? '' : value])
+  )),
+  { quotes: false }
+);
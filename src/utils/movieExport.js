@@ -0,0 +1,233 @@
+// src/utils/movieExport.js
+// Rendering of the image sequence with overlays to animated GIF and WebM
+
+import { applyCalibration } from './solarCalculations';
+import { resolveObserver } from './ephemeris';
+import { buildHeliographicGrid, GRID_STYLES } from './heliographicGrid';
+import { buildMeasurementOverlay } from './measurementOverlay';
+import { createGifEncoder } from './gifEncoder';
+import { createCanvas } from './imageProcessing';
+
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+const cancelledError = () => Object.assign(new Error('Cancelled'), { cancelled: true });
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Output frame size for a sequence: the first image scaled down to at most
+ * `maxWidth`, rounded to even dimensions (required by video encoders).
+ *
+ * @param {Object} images - Images map
+ * @param {string[]} sortedFilenames - Sequence order
+ * @param {number} maxWidth - Largest output width
+ * @returns {{width: number, height: number}}
+ */
+export const exportFrameSize = (images, sortedFilenames, maxWidth) => {
+  const first = images[sortedFilenames[0]];
+  const scale = Math.min(1, maxWidth / first.width);
+  const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+  return { width: even(first.width * scale), height: even(first.height * scale) };
+};
+
+const formatTimestamp = (obsTime) => (
+  obsTime instanceof Date && !Number.isNaN(obsTime.getTime())
+    ? obsTime.toISOString().replace('T', ' ').slice(0, 19) + ' UTC'
+    : 'Time unknown'
+);
+
+/**
+ * Draws one export frame: the image fitted into the frame (letterboxed when
+ * its aspect differs) and the selected overlays on its calibrated disk.
+ *
+ * @param {CanvasRenderingContext2D} ctx - Target context, `width` x `height`
+ * @param {Object} entry - Image entry
+ * @param {string} name - Filename of the entry
+ * @param {Object} options
+ * @param {number} options.width - Frame width
+ * @param {number} options.height - Frame height
+ * @param {boolean} options.showLimb - Limb circle
+ * @param {boolean} options.showGrid - Heliographic grid
+ * @param {number} options.gridSpacing - Grid spacing in degrees
+ * @param {string} options.coordinateSystem - Meridian longitudes: 'stonyhurst' or 'carrington'
+ * @param {boolean} options.showMarkers - Measurements recorded on the image
+ * @param {Object[]} options.measurements - All measurements
+ * @param {boolean} options.showTimestamp - Observation time burn-in
+ */
+export const renderExportFrame = (ctx, entry, name, {
+  width,
+  height,
+  showLimb,
+  showGrid,
+  gridSpacing,
+  coordinateSystem,
+  showMarkers,
+  measurements,
+  showTimestamp
+}) => {
+  ctx.fillStyle = 'black';
+  ctx.fillRect(0, 0, width, height);
+
+  const scale = Math.min(width / entry.width, height / entry.height);
+  const offsetX = (width - entry.width * scale) / 2;
+  const offsetY = (height - entry.height * scale) / 2;
+  ctx.drawImage(entry.image, offsetX, offsetY, entry.width * scale, entry.height * scale);
+
+  // Overlays in scaled image coordinates
+  ctx.save();
+  ctx.translate(offsetX, offsetY);
+  const calibrated = applyCalibration(entry.sunParams, entry.calibration);
+  const disk = { cx: calibrated.cx * scale, cy: calibrated.cy * scale, radius: calibrated.radius * scale };
+  const observer = resolveObserver(entry.obsTime, entry.observer);
+
+  if (showGrid) {
+    const grid = buildHeliographicGrid(disk, observer, { spacing: gridSpacing, coordinateSystem });
+    for (const line of grid.lines) {
+      const { stroke, strokeWidth } = GRID_STYLES[line.kind];
+      ctx.strokeStyle = stroke;
+      ctx.lineWidth = strokeWidth;
+      for (const points of line.segments) {
+        ctx.beginPath();
+        ctx.moveTo(points[0], points[1]);
+        for (let i = 2; i < points.length; i += 2) ctx.lineTo(points[i], points[i + 1]);
+        ctx.stroke();
+      }
+    }
+    const [x0, y0, x1, y1] = grid.northAxis;
+    ctx.strokeStyle = 'yellow';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(x0, y0);
+    ctx.lineTo(x1, y1);
+    ctx.stroke();
+    ctx.fillStyle = 'yellow';
+    ctx.font = 'bold 12px sans-serif';
+    ctx.fillText('N', x1 - 4, y1 - 4);
+  }
+
+  if (showLimb) {
+    ctx.strokeStyle = 'red';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(disk.cx, disk.cy, disk.radius, 0, 2 * Math.PI);
+    ctx.stroke();
+  }
+
+  if (showMarkers) {
+    const { markers } = buildMeasurementOverlay({
+      measurements,
+      imageName: name,
+      obsTime: entry.obsTime,
+      sunParams: disk,
+      observer,
+      imageScale: scale
+    });
+    ctx.font = '11px sans-serif';
+    for (const marker of markers) {
+      ctx.strokeStyle = marker.color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(marker.x, marker.y, 4, 0, 2 * Math.PI);
+      ctx.stroke();
+      if (marker.label) {
+        ctx.fillStyle = marker.color;
+        ctx.fillText(marker.label, marker.x + 6, marker.y - 6);
+      }
+    }
+  }
+  ctx.restore();
+
+  if (showTimestamp) {
+    const text = formatTimestamp(entry.obsTime);
+    ctx.font = '14px monospace';
+    const textWidth = ctx.measureText(text).width;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(6, height - 26, textWidth + 12, 20);
+    ctx.fillStyle = 'white';
+    ctx.fillText(text, 12, height - 11);
+  }
+};
+
+/**
+ * Whether this browser can record WebM from a canvas.
+ *
+ * @returns {boolean}
+ */
+export const canExportWebM = () => (
+  typeof MediaRecorder !== 'undefined' && WEBM_TYPES.some(type => MediaRecorder.isTypeSupported(type))
+);
+
+/**
+ * Renders the sequence to an animated GIF.
+ *
+ * @param {Object} params
+ * @param {Object} params.images - Images map
+ * @param {string[]} params.sortedFilenames - Frames in order
+ * @param {Object} params.options - Frame options for renderExportFrame (including width and height)
+ * @param {number} params.delayMs - Time per frame in milliseconds
+ * @param {(done: number, total: number) => void} [params.onProgress] - Called after each frame
+ * @param {AbortSignal} [params.signal] - Aborts the export (rejects with an error whose `cancelled` flag is set)
+ * @returns {Promise<Blob>}
+ */
+export const exportGif = async ({ images, sortedFilenames, options, delayMs, onProgress = () => {}, signal }) => {
+  const { width, height } = options;
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  const encoder = createGifEncoder({ width, height, delayMs });
+
+  for (let i = 0; i < sortedFilenames.length; i++) {
+    if (signal && signal.aborted) throw cancelledError();
+    const name = sortedFilenames[i];
+    renderExportFrame(ctx, images[name], name, options);
+    encoder.addFrame(ctx.getImageData(0, 0, width, height).data);
+    onProgress(i + 1, sortedFilenames.length);
+    // Let the page repaint between frames
+    await sleep(0);
+  }
+
+  return encoder.finish();
+};
+
+/**
+ * Records the sequence to WebM with MediaRecorder. Recording runs in real
+ * time: each frame stays on the canvas for `delayMs`.
+ *
+ * @param {Object} params - Same as exportGif
+ * @returns {Promise<Blob>}
+ */
+export const exportWebM = async ({ images, sortedFilenames, options, delayMs, onProgress = () => {}, signal }) => {
+  const { width, height } = options;
+  const mimeType = WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  // Draw the first frame before the stream starts so the video does not open blank
+  renderExportFrame(ctx, images[sortedFilenames[0]], sortedFilenames[0], options);
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, { mimeType });
+  const chunks = [];
+  recorder.ondataavailable = (e) => {
+    if (e.data.size > 0) chunks.push(e.data);
+  };
+  const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+  recorder.start();
+  try {
+    for (let i = 0; i < sortedFilenames.length; i++) {
+      if (signal && signal.aborted) throw cancelledError();
+      const name = sortedFilenames[i];
+      renderExportFrame(ctx, images[name], name, options);
+      track.requestFrame();
+      onProgress(i + 1, sortedFilenames.length);
+      await sleep(delayMs);
+    }
+  } finally {
+    recorder.stop();
+    await stopped;
+    track.stop();
+  }
+
+  return new Blob(chunks, { type: 'video/webm' });
+};
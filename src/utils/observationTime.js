@@ -0,0 +1,170 @@
+// src/utils/observationTime.js
+// Observation times from filenames and EXIF, and time ordering of the sequence
+
+// Date and time in a filename: 20240512_1200, 20240512_120005, 20240512T120005,
+// 2024-05-12T12:00:05, 2024_05_12__12_00_05 (Helioviewer), ...
+const FILENAME_TIMESTAMP = /(?<!\d)(\d{4})[-_.]?(\d{2})[-_.]?(\d{2})(?:[T_\- ]{1,2})(\d{2})[-_:.]?(\d{2})(?:[-_:.]?(\d{2}))?(?!\d)/;
+
+const EXIF_DATE_TIME = 0x0132;
+const EXIF_IFD_POINTER = 0x8769;
+const EXIF_DATE_TIME_ORIGINAL = 0x9003;
+const EXIF_OFFSET_TIME_ORIGINAL = 0x9011;
+
+// Bytes read from the start of a JPEG when looking for EXIF data
+export const EXIF_SCAN_BYTES = 128 * 1024;
+
+const buildUtcDate = (year, month, day, hour, minute, second = 0) => {
+  if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59 || second > 60) {
+    return null;
+  }
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  // Reject dates that rolled over (e.g. 31 April)
+  return date.getUTCDate() === day ? date : null;
+};
+
+/**
+ * Observation time encoded in a filename, read as UTC. Recognises a date
+ * (YYYYMMDD, optionally separated by - _ or .) followed by a time (HHMM or
+ * HHMMSS, optionally separated), e.g. `20240512_1200_hmiigr.jpg`.
+ *
+ * @param {string} name - Filename
+ * @returns {Date|null}
+ */
+export const parseFilenameTimestamp = (name) => {
+  const match = FILENAME_TIMESTAMP.exec(name);
+  if (!match) return null;
+  const [year, month, day, hour, minute, second] = match.slice(1).map(value => (value ? parseInt(value, 10) : 0));
+  if (year < 1900 || year > 2100) return null;
+  return buildUtcDate(year, month, day, hour, minute, second);
+};
+
+const readAscii = (view, offset, length) => {
+  let text = '';
+  for (let i = 0; i < length && offset + i < view.byteLength; i++) {
+    const code = view.getUint8(offset + i);
+    if (code === 0) break;
+    text += String.fromCharCode(code);
+  }
+  return text;
+};
+
+// ASCII tags of one IFD, keyed by tag number; values longer than 4 bytes live at an offset
+const readIfd = (view, tiffStart, ifdOffset, littleEndian, wanted) => {
+  const values = {};
+  const start = tiffStart + ifdOffset;
+  if (start + 2 > view.byteLength) return values;
+
+  const count = view.getUint16(start, littleEndian);
+  for (let i = 0; i < count; i++) {
+    const entry = start + 2 + i * 12;
+    if (entry + 12 > view.byteLength) break;
+    const tag = view.getUint16(entry, littleEndian);
+    if (!wanted.includes(tag)) continue;
+
+    const type = view.getUint16(entry + 2, littleEndian);
+    const length = view.getUint32(entry + 4, littleEndian);
+    if (type === 2) {
+      const valueOffset = length > 4 ? tiffStart + view.getUint32(entry + 8, littleEndian) : entry + 8;
+      values[tag] = readAscii(view, valueOffset, length);
+    } else if (type === 4) {
+      values[tag] = view.getUint32(entry + 8, littleEndian);
+    }
+  }
+  return values;
+};
+
+// "YYYY:MM:DD HH:MM:SS" with an optional "+HH:MM" offset; without an offset the time is taken as UTC
+const parseExifDate = (value, offset) => {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+  if (!match) return null;
+  const [year, month, day, hour, minute, second] = match.slice(1).map(Number);
+  const date = buildUtcDate(year, month, day, hour, minute, second);
+  if (!date) return null;
+
+  const zone = /^([+-])(\d{2}):(\d{2})$/.exec(offset || '');
+  if (zone) {
+    const minutes = (parseInt(zone[2], 10) * 60 + parseInt(zone[3], 10)) * (zone[1] === '+' ? 1 : -1);
+    return new Date(date.getTime() - minutes * 60000);
+  }
+  return date;
+};
+
+/**
+ * Capture time from the EXIF data of a JPEG: DateTimeOriginal (with
+ * OffsetTimeOriginal when present), falling back to DateTime. Times without a
+ * UTC offset are taken as UTC.
+ *
+ * @param {ArrayBuffer} buffer - Start of the file (see EXIF_SCAN_BYTES)
+ * @returns {Date|null}
+ */
+export const readExifTimestamp = (buffer) => {
+  const view = new DataView(buffer);
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return null;
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) return null;
+    const length = view.getUint16(offset + 2);
+
+    if (marker === 0xFFE1 && readAscii(view, offset + 4, 4) === 'Exif') {
+      const tiffStart = offset + 10;
+      if (tiffStart + 8 > view.byteLength) return null;
+      const littleEndian = view.getUint16(tiffStart) === 0x4949;
+      const ifd0 = readIfd(view, tiffStart, view.getUint32(tiffStart + 4, littleEndian), littleEndian,
+        [EXIF_DATE_TIME, EXIF_IFD_POINTER]);
+
+      if (ifd0[EXIF_IFD_POINTER]) {
+        const exif = readIfd(view, tiffStart, ifd0[EXIF_IFD_POINTER], littleEndian,
+          [EXIF_DATE_TIME_ORIGINAL, EXIF_OFFSET_TIME_ORIGINAL]);
+        const original = parseExifDate(exif[EXIF_DATE_TIME_ORIGINAL], exif[EXIF_OFFSET_TIME_ORIGINAL]);
+        if (original) return original;
+      }
+      return parseExifDate(ifd0[EXIF_DATE_TIME]);
+    }
+    offset += 2 + length;
+  }
+  return null;
+};
+
+const timeOf = (entry) => {
+  const time = entry && entry.obsTime instanceof Date ? entry.obsTime.getTime() : NaN;
+  return Number.isFinite(time) ? time : null;
+};
+
+/**
+ * Image names in order of observation time; images without a known time
+ * follow in name order.
+ *
+ * @param {Object} images - Images map keyed by filename
+ * @returns {string[]}
+ */
+export const sortFilenamesByTime = (images) => Object.keys(images).sort((a, b) => {
+  const ta = timeOf(images[a]);
+  const tb = timeOf(images[b]);
+  if (ta !== null && tb !== null && ta !== tb) return ta - tb;
+  if (ta === null && tb !== null) return 1;
+  if (ta !== null && tb === null) return -1;
+  return a.localeCompare(b);
+});
+
+/**
+ * Gaps in a time-ordered sequence: intervals longer than `factor` times the
+ * median interval.
+ *
+ * @param {number[]} times - Times in ms, ascending
+ * @param {number} [factor=3] - Multiple of the median cadence that counts as a gap
+ * @returns {Array<{start: number, end: number, afterIndex: number}>}
+ */
+export const findTimeGaps = (times, factor = 3) => {
+  if (times.length < 3) return [];
+  const intervals = times.slice(1).map((time, i) => time - times[i]);
+  const sorted = [...intervals].sort((a, b) => a - b);
+  const median = sorted[Math.floor(sorted.length / 2)];
+  if (!(median > 0)) return [];
+
+  return intervals
+    .map((interval, i) => ({ interval, i }))
+    .filter(({ interval }) => interval > median * factor)
+    .map(({ i }) => ({ start: times[i], end: times[i + 1], afterIndex: i }));
+};
@@ -0,0 +1,207 @@
+// src/utils/rotationAnalysis.js
+// Rotation rate fits for tracked features and the differential rotation profile
+
+import { inv, multiply, transpose } from 'mathjs';
+
+const MS_PER_DAY = 86400000;
+
+// Sidereal rotation rate of the Carrington frame (360° / 25.38 days)
+export const CARRINGTON_SIDEREAL_RATE = 360 / 25.38;
+
+// Mean orbital motion of the Earth, which separates sidereal and synodic rates
+export const EARTH_ORBITAL_RATE = 360 / 365.2564;
+
+/**
+ * Published sidereal rotation profiles ω(φ) = A + B sin²φ + C sin⁴φ in deg/day.
+ */
+export const REFERENCE_ROTATION_PROFILES = [
+  { name: 'Snodgrass & Ulrich (1990)', A: 14.713, B: -2.396, C: -1.787 },
+  { name: 'Howard et al. (1984), sunspots', A: 14.522, B: -2.84, C: 0 }
+];
+
+/**
+ * Sidereal rotation rate at a latitude for a profile.
+ *
+ * @param {number} latitude - Latitude in degrees
+ * @param {{A: number, B: number, C: number}} profile - Profile coefficients in deg/day
+ * @returns {number} Rate in deg/day
+ */
+export const rotationRate = (latitude, { A, B, C }) => {
+  const s2 = Math.sin(latitude * Math.PI / 180) ** 2;
+  return A + B * s2 + C * s2 * s2;
+};
+
+/**
+ * Removes 360° jumps from a sequence of longitudes.
+ *
+ * @param {number[]} longitudes - Longitudes in degrees, in time order
+ * @returns {number[]}
+ */
+export const unwrapLongitudes = (longitudes) => {
+  const result = [];
+  longitudes.forEach((longitude, i) => {
+    let value = longitude;
+    if (i > 0) {
+      const previous = result[i - 1];
+      while (value - previous > 180) value -= 360;
+      while (value - previous < -180) value += 360;
+    }
+    result.push(value);
+  });
+  return result;
+};
+
+/**
+ * Ordinary least-squares straight line fit. Standard errors are estimated
+ * from the scatter of the residuals and are null with only two points.
+ *
+ * @param {number[]} x - Independent values
+ * @param {number[]} y - Dependent values
+ * @returns {{slope: number, intercept: number, slopeError: number|null, interceptError: number|null, rms: number, n: number}|null}
+ */
+export const linearFit = (x, y) => {
+  const n = x.length;
+  if (n < 2) return null;
+
+  const meanX = x.reduce((sum, v) => sum + v, 0) / n;
+  const meanY = y.reduce((sum, v) => sum + v, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  for (let i = 0; i < n; i++) {
+    sxx += (x[i] - meanX) ** 2;
+    sxy += (x[i] - meanX) * (y[i] - meanY);
+  }
+  if (sxx === 0) return null;
+
+  const slope = sxy / sxx;
+  const intercept = meanY - slope * meanX;
+  const sumSquares = x.reduce((sum, v, i) => sum + (y[i] - (intercept + slope * v)) ** 2, 0);
+
+  let slopeError = null;
+  let interceptError = null;
+  if (n > 2) {
+    const variance = sumSquares / (n - 2);
+    slopeError = Math.sqrt(variance / sxx);
+    interceptError = Math.sqrt(variance * (1 / n + meanX * meanX / sxx));
+  }
+
+  return { slope, intercept, slopeError, interceptError, rms: Math.sqrt(sumSquares / n), n };
+};
+
+/**
+ * Fits Carrington longitude against time for one feature.
+ *
+ * @param {string} label - Feature label
+ * @param {Object[]} measurements - Measurements of this feature
+ * @returns {Object|null} Fit with times (days since the first measurement),
+ *   unwrapped longitudes, the fitted line, sidereal/synodic rates (deg/day)
+ *   and the mean latitude; null if the measurements do not span any time
+ */
+export const fitFeatureRotation = (label, measurements) => {
+  const sorted = measurements
+    .filter(m => !Number.isNaN(new Date(m.observationTime).getTime()))
+    .sort((a, b) => new Date(a.observationTime) - new Date(b.observationTime));
+  if (sorted.length < 2) return null;
+
+  const startTime = new Date(sorted[0].observationTime).getTime();
+  const days = sorted.map(m => (new Date(m.observationTime).getTime() - startTime) / MS_PER_DAY);
+  const longitudes = unwrapLongitudes(sorted.map(m => m.carringtonLongitude));
+  const fit = linearFit(days, longitudes);
+  if (!fit) return null;
+
+  const latitudes = sorted.map(m => m.helioLatitude);
+  const meanLatitude = latitudes.reduce((sum, v) => sum + v, 0) / latitudes.length;
+  const latitudeSpread = Math.sqrt(
+    latitudes.reduce((sum, v) => sum + (v - meanLatitude) ** 2, 0) / latitudes.length
+  );
+
+  // Carrington longitude drifts at the sidereal rate minus the Carrington rate
+  const siderealRate = fit.slope + CARRINGTON_SIDEREAL_RATE;
+
+  return {
+    label,
+    count: sorted.length,
+    startTime: new Date(startTime),
+    spanDays: days[days.length - 1],
+    days,
+    longitudes,
+    fit,
+    siderealRate,
+    synodicRate: siderealRate - EARTH_ORBITAL_RATE,
+    rateError: fit.slopeError,
+    meanLatitude,
+    latitudeSpread
+  };
+};
+
+/**
+ * Weighted least-squares fit of ω(φ) = A + B sin²φ + C sin⁴φ to per-feature
+ * sidereal rates. Features are weighted by their rate uncertainty when every
+ * feature has one. With only two features C is fixed at zero.
+ *
+ * @param {Object[]} features - Results of fitFeatureRotation
+ * @returns {{A: number, B: number, C: number, errors: {A: number, B: number, C: number}|null, n: number, terms: number}|null}
+ */
+export const fitDifferentialRotation = (features) => {
+  const n = features.length;
+  if (n < 2) return null;
+
+  const terms = n >= 3 ? 3 : 2;
+  const weighted = features.every(f => f.rateError > 0);
+
+  const design = features.map(f => {
+    const s2 = Math.sin(f.meanLatitude * Math.PI / 180) ** 2;
+    return terms === 3 ? [1, s2, s2 * s2] : [1, s2];
+  });
+  const weights = features.map(f => (weighted ? 1 / (f.rateError * f.rateError) : 1));
+  const rates = features.map(f => f.siderealRate);
+
+  try {
+    const weightedDesign = design.map((row, i) => row.map(v => v * weights[i]));
+    const normal = multiply(transpose(design), weightedDesign);
+    const covariance = inv(normal);
+    const rhs = multiply(transpose(weightedDesign), rates);
+    const coefficients = multiply(covariance, rhs);
+
+    const [A, B, C = 0] = coefficients;
+    const residuals = design.map((row, i) => rates[i] - row.reduce((sum, v, k) => sum + v * coefficients[k], 0));
+    const chiSquare = residuals.reduce((sum, r, i) => sum + r * r * weights[i], 0);
+    const dof = n - terms;
+
+    // Scale the covariance by the reduced chi-square so the errors reflect the
+    // actual scatter; no error estimate without spare degrees of freedom
+    let errors = null;
+    if (dof > 0) {
+      const scale = chiSquare / dof;
+      const error = (k) => (k < terms ? Math.sqrt(covariance[k][k] * scale) : 0);
+      errors = { A: error(0), B: error(1), C: error(2) };
+    }
+
+    return { A, B, C, errors, n, terms };
+  } catch (error) {
+    console.error('Differential rotation fit failed:', error);
+    return null;
+  }
+};
+
+/**
+ * Runs the per-feature fits for every labelled feature and the global
+ * differential rotation fit.
+ *
+ * @param {Object[]} measurements - All measurements
+ * @returns {{features: Object[], profile: Object|null}}
+ */
+export const analyzeRotation = (measurements) => {
+  const byLabel = {};
+  for (const m of measurements) {
+    if (!m.label) continue;
+    if (!byLabel[m.label]) byLabel[m.label] = [];
+    byLabel[m.label].push(m);
+  }
+
+  const features = Object.entries(byLabel)
+    .map(([label, group]) => fitFeatureRotation(label, group))
+    .filter(Boolean);
+
+  return { features, profile: fitDifferentialRotation(features) };
+};
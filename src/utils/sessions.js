@@ -0,0 +1,317 @@
+// src/utils/sessions.js
+// Project sessions: IndexedDB persistence and single-file JSON bundles
+
+import { readFitsFile, readImageFile, DEFAULT_CALIBRATION } from './solarCalculations';
+import { ensureMeasurementIds } from './measurements';
+
+const DB_NAME = 'solar-rotation-analysis';
+const DB_VERSION = 1;
+const SESSIONS_STORE = 'sessions';
+const IMAGES_STORE = 'images';
+
+export const BUNDLE_FORMAT = 'solar-rotation-session';
+const BUNDLE_VERSION = 1;
+
+// Promise wrapper for an IDBRequest
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Resolves once a transaction has committed
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+});
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  if (typeof indexedDB === 'undefined') {
+    reject(new Error('IndexedDB is not available in this browser'));
+    return;
+  }
+
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(SESSIONS_STORE)) {
+      db.createObjectStore(SESSIONS_STORE, { keyPath: 'id' });
+    }
+    if (!db.objectStoreNames.contains(IMAGES_STORE)) {
+      const images = db.createObjectStore(IMAGES_STORE, { keyPath: ['sessionId', 'name'] });
+      images.createIndex('sessionId', 'sessionId');
+    }
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Serializable description of an image entry (everything except the decoded
+ * image and pixel arrays, which are rebuilt from the file).
+ */
+const describeImage = (name, entry) => ({
+  name,
+  type: entry.pixelData ? 'fits' : 'image',
+  obsTime: entry.obsTime ? entry.obsTime.toISOString() : null,
+  timeSource: entry.timeSource || null,
+  sunParams: entry.sunParams,
+  paramsSource: entry.paramsSource,
+  limbFit: entry.limbFit || null,
+  header: entry.header || null,
+  observer: entry.observer || {},
+  calibration: entry.calibration || null
+});
+
+/**
+ * Rebuilds an image entry from its description and original file contents.
+ *
+ * @param {Object} description - Result of describeImage
+ * @param {Blob} blob - Original file contents
+ * @returns {Promise<Object>} Entry for the images map
+ */
+const restoreImage = async (description, blob) => {
+  const file = new File([blob], description.name, { type: blob.type });
+  let image;
+  let pixelData = null;
+
+  if (description.type === 'fits') {
+    const result = await readFitsFile(file);
+    image = result.image;
+    pixelData = result.pixelData;
+  } else {
+    image = await readImageFile(file);
+  }
+
+  return {
+    image,
+    file,
+    obsTime: description.obsTime ? new Date(description.obsTime) : null,
+    timeSource: description.timeSource || null,
+    width: image.width,
+    height: image.height,
+    sunParams: description.sunParams,
+    paramsSource: description.paramsSource,
+    limbFit: description.limbFit,
+    header: description.header,
+    observer: description.observer,
+    calibration: { ...DEFAULT_CALIBRATION, ...description.calibration },
+    pixelData
+  };
+};
+
+/**
+ * Lists saved sessions, most recently updated first.
+ *
+ * @returns {Promise<Array<{id: string, name: string, updatedAt: string, imageCount: number, measurementCount: number}>>}
+ */
+export const listSessions = async () => {
+  const db = await openDatabase();
+  try {
+    const sessions = await promisify(db.transaction(SESSIONS_STORE).objectStore(SESSIONS_STORE).getAll());
+    return sessions
+      .map(({ id, name, updatedAt, imageCount, measurementCount }) => ({ id, name, updatedAt, imageCount, measurementCount }))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  } finally {
+    db.close();
+  }
+};
+
+/**
+ * Saves (or overwrites) a session with its image files.
+ *
+ * @param {Object} params
+ * @param {string} [params.id] - Existing session id to overwrite
+ * @param {string} params.name - Session name
+ * @param {Object} params.images - Images map from the page state
+ * @param {string[]} params.sortedFilenames - Image order
+ * @param {Object[]} params.measurements - Measurements
+ * @param {Object} params.settings - UI settings to restore
+ * @returns {Promise<string>} Session id
+ */
+export const saveSession = async ({ id, name, images, sortedFilenames, measurements, settings }) => {
+  const sessionId = id || `session-${Date.now()}`;
+  const now = new Date().toISOString();
+  const db = await openDatabase();
+
+  try {
+    const transaction = db.transaction([SESSIONS_STORE, IMAGES_STORE], 'readwrite');
+    const sessionsStore = transaction.objectStore(SESSIONS_STORE);
+    const imagesStore = transaction.objectStore(IMAGES_STORE);
+
+    const existing = await promisify(sessionsStore.get(sessionId));
+    sessionsStore.put({
+      id: sessionId,
+      name,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+      imageCount: sortedFilenames.length,
+      measurementCount: measurements.length,
+      sortedFilenames,
+      measurements,
+      settings,
+      images: sortedFilenames.map(filename => describeImage(filename, images[filename]))
+    });
+
+    // Replace the stored files of this session
+    const oldKeys = await promisify(imagesStore.index('sessionId').getAllKeys(sessionId));
+    oldKeys.forEach(key => imagesStore.delete(key));
+    for (const filename of sortedFilenames) {
+      const entry = images[filename];
+      if (entry.file) {
+        imagesStore.put({ sessionId, name: filename, blob: entry.file });
+      }
+    }
+
+    await transactionDone(transaction);
+    return sessionId;
+  } finally {
+    db.close();
+  }
+};
+
+/**
+ * Restores a session: decodes its stored image files and returns page state.
+ *
+ * @param {string} id - Session id
+ * @returns {Promise<{id: string, name: string, images: Object, sortedFilenames: string[], measurements: Object[], settings: Object, missing: string[]}>}
+ *   missing lists images whose file could not be restored
+ */
+export const loadSession = async (id) => {
+  const db = await openDatabase();
+  let session;
+  let files;
+
+  try {
+    const transaction = db.transaction([SESSIONS_STORE, IMAGES_STORE]);
+    session = await promisify(transaction.objectStore(SESSIONS_STORE).get(id));
+    files = await promisify(transaction.objectStore(IMAGES_STORE).index('sessionId').getAll(id));
+  } finally {
+    db.close();
+  }
+
+  if (!session) {
+    throw new Error(`Session ${id} not found`);
+  }
+
+  const blobs = Object.fromEntries(files.map(f => [f.name, f.blob]));
+  return restoreSession(session, blobs);
+};
+
+/**
+ * Deletes a session and its stored image files.
+ *
+ * @param {string} id - Session id
+ * @returns {Promise<void>}
+ */
+export const deleteSession = async (id) => {
+  const db = await openDatabase();
+  try {
+    const transaction = db.transaction([SESSIONS_STORE, IMAGES_STORE], 'readwrite');
+    transaction.objectStore(SESSIONS_STORE).delete(id);
+    const imagesStore = transaction.objectStore(IMAGES_STORE);
+    const keys = await promisify(imagesStore.index('sessionId').getAllKeys(id));
+    keys.forEach(key => imagesStore.delete(key));
+    await transactionDone(transaction);
+  } finally {
+    db.close();
+  }
+};
+
+// Decode every image of a session record; failures are reported, not fatal
+const restoreSession = async (session, blobs) => {
+  const images = {};
+  const missing = [];
+
+  for (const description of session.images) {
+    const blob = blobs[description.name];
+    if (!blob) {
+      missing.push(description.name);
+      continue;
+    }
+    try {
+      images[description.name] = await restoreImage(description, blob);
+    } catch (error) {
+      console.error(`Error restoring ${description.name}:`, error);
+      missing.push(description.name);
+    }
+  }
+
+  return {
+    id: session.id,
+    name: session.name,
+    images,
+    sortedFilenames: session.sortedFilenames.filter(name => images[name]),
+    measurements: ensureMeasurementIds(session.measurements || []),
+    settings: session.settings || {},
+    missing
+  };
+};
+
+const blobToDataURL = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = (e) => resolve(e.target.result);
+  reader.onerror = reject;
+  reader.readAsDataURL(blob);
+});
+
+const dataURLToBlob = async (dataURL) => {
+  const response = await fetch(dataURL);
+  return response.blob();
+};
+
+/**
+ * Packs the current session into a single JSON bundle (image files embedded
+ * as data URLs) for handing off to someone else.
+ *
+ * @param {Object} params - Same as saveSession
+ * @returns {Promise<Blob>} JSON bundle
+ */
+export const exportSessionBundle = async ({ name, images, sortedFilenames, measurements, settings }) => {
+  const files = {};
+  for (const filename of sortedFilenames) {
+    const entry = images[filename];
+    if (entry.file) {
+      files[filename] = await blobToDataURL(entry.file);
+    }
+  }
+
+  const bundle = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    session: {
+      name,
+      sortedFilenames,
+      measurements,
+      settings,
+      images: sortedFilenames.map(filename => describeImage(filename, images[filename]))
+    },
+    files
+  };
+
+  return new Blob([JSON.stringify(bundle)], { type: 'application/json' });
+};
+
+/**
+ * Reads a bundle written by exportSessionBundle.
+ *
+ * @param {File} file - Bundle file
+ * @returns {Promise<Object>} Same shape as loadSession (without an id)
+ */
+export const importSessionBundle = async (file) => {
+  const bundle = JSON.parse(await file.text());
+  if (bundle.format !== BUNDLE_FORMAT || !bundle.session) {
+    throw new Error('Not a session bundle');
+  }
+  if (bundle.version > BUNDLE_VERSION) {
+    throw new Error(`Unsupported session bundle version ${bundle.version}`);
+  }
+
+  const blobs = {};
+  for (const [filename, dataURL] of Object.entries(bundle.files || {})) {
+    blobs[filename] = await dataURLToBlob(dataURL);
+  }
+
+  return restoreSession({ ...bundle.session, id: null }, blobs);
+};
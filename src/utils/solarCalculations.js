@@ -1,6 +1,16 @@
 // src/utils/solarCalculations.js
 // Improved solar calculations based on the HTML implementation
 
+import {
+  parseFits,
+  flipFitsRows,
+  renderFitsToRGBA,
+  getSunParamsFromHeader,
+  getObservationTimeFromHeader
+} from './fitsReader';
+import { resolveObserver } from './ephemeris';
+import { getImagePixels, downsamplePixels, detectLimb } from './imageProcessing';
+
 // Helper math functions
 const degreesToRadians = (degrees) => {
   return degrees * Math.PI / 180;
@@ -14,85 +24,277 @@ const clamp = (value, min, max) => {
   return Math.min(Math.max(value, min), max);
 };
 
+const normalizeLongitude = (longitude) => {
+  let L = longitude % 360;
+  if (L > 180) L -= 360;
+  if (L <= -180) L += 360;
+  return L;
+};
+
+const RSUN_METERS = 6.957e8;
+// Larger side of the pixels limb detection runs on
+export const LIMB_DETECTION_SIZE = 1024;
+const ARCSEC_TO_RADIANS = Math.PI / (180 * 3600);
+
+/**
+ * Observer-to-Sun-center distance and solar radius (same units) consistent
+ * with the apparent angular radius, so that the fitted limb maps exactly onto
+ * the edge of the sphere.
+ */
+const observerGeometry = (observer) => {
+  const D = observer.dsun || RSUN_METERS / Math.sin(observer.rsunArcsec * ARCSEC_TO_RADIANS);
+  const R = D * Math.sin(observer.rsunArcsec * ARCSEC_TO_RADIANS);
+  return { D, R };
+};
+
+/**
+ * Converts an image pixel to heliographic coordinates through helioprojective
+ * angles, accounting for the finite Sun-observer distance (Thompson 2006,
+ * A&A 449, 791).
+ *
+ * @param {number} x - Pixel X (image coordinates, origin top-left)
+ * @param {number} y - Pixel Y
+ * @param {{cx: number, cy: number, radius: number}} sunParams - Disk center and radius in pixels
+ * @param {Object} observer - Resolved observer (B0, L0, P, rsunArcsec, dsun) from resolveObserver
+ * @returns {{longitude: number, latitude: number, carringtonLongitude: number, thetaX: number, thetaY: number, mu: number, onDisk: boolean}}
+ *   Stonyhurst longitude and latitude in degrees, helioprojective thetaX/thetaY
+ *   in arcsec, mu = cos of the heliocentric angle
+ */
+export const pixelToHeliographic = (x, y, sunParams, observer) => {
+  const { B0, L0, P, rsunArcsec } = observer;
+  const { D, R } = observerGeometry(observer);
+
+  // Offsets from disk center with Y up, rotated so solar north is up
+  const dx = x - sunParams.cx;
+  const dy = sunParams.cy - y;
+  const Prad = degreesToRadians(P);
+  const u = Math.cos(Prad) * dx + Math.sin(Prad) * dy;
+  const v = -Math.sin(Prad) * dx + Math.cos(Prad) * dy;
+
+  // Helioprojective angles from the plate scale implied by the disk radius
+  const arcsecPerPixel = rsunArcsec / sunParams.radius;
+  const thetaX = u * arcsecPerPixel;
+  const thetaY = v * arcsecPerPixel;
+  const tx = thetaX * ARCSEC_TO_RADIANS;
+  const ty = thetaY * ARCSEC_TO_RADIANS;
+
+  // Distance along the line of sight to the visible surface; beyond the
+  // limb the ray misses the sphere and the point is placed on the limb
+  const q = D * Math.cos(ty) * Math.cos(tx);
+  const discriminant = q * q - D * D + R * R;
+  const onDisk = discriminant >= 0;
+  const d = q - Math.sqrt(Math.max(discriminant, 0));
+
+  // Heliocentric cartesian (Z towards the observer, Y towards solar north)
+  const X = d * Math.cos(ty) * Math.sin(tx);
+  const Y = d * Math.sin(ty);
+  const Z = D - d * Math.cos(ty) * Math.cos(tx);
+
+  const B0rad = degreesToRadians(B0);
+  const latitude = radiansToDegrees(Math.asin(clamp((Y * Math.cos(B0rad) + Z * Math.sin(B0rad)) / R, -1, 1)));
+  const longitude = radiansToDegrees(Math.atan2(X, Z * Math.cos(B0rad) - Y * Math.sin(B0rad)));
+  const mu = onDisk ? Math.max(0, (Z * D - R * R) / (R * d)) : 0;
+
+  return {
+    longitude,
+    latitude,
+    carringtonLongitude: ((longitude + L0) % 360 + 360) % 360,
+    thetaX,
+    thetaY,
+    mu,
+    onDisk
+  };
+};
+
+/**
+ * Inverse of pixelToHeliographic: projects a Stonyhurst heliographic position
+ * onto the image.
+ *
+ * @param {number} longitude - Stonyhurst longitude in degrees
+ * @param {number} latitude - Latitude in degrees
+ * @param {{cx: number, cy: number, radius: number}} sunParams - Disk center and radius in pixels
+ * @param {Object} observer - Resolved observer from resolveObserver
+ * @returns {{x: number, y: number, visible: boolean, mu: number}} Pixel position;
+ *   visible is false for points on the far side of the Sun
+ */
+export const heliographicToPixel = (longitude, latitude, sunParams, observer) => {
+  const { B0, P, rsunArcsec } = observer;
+  const { D, R } = observerGeometry(observer);
+
+  const lon = degreesToRadians(longitude);
+  const lat = degreesToRadians(latitude);
+  const B0rad = degreesToRadians(B0);
+
+  const X = R * Math.cos(lat) * Math.sin(lon);
+  const Y = R * (Math.sin(lat) * Math.cos(B0rad) - Math.cos(lat) * Math.cos(lon) * Math.sin(B0rad));
+  const Z = R * (Math.sin(lat) * Math.sin(B0rad) + Math.cos(lat) * Math.cos(lon) * Math.cos(B0rad));
+
+  const d = Math.sqrt(X * X + Y * Y + (D - Z) * (D - Z));
+  const visible = Z * D > R * R;
+  const mu = visible ? (Z * D - R * R) / (R * d) : 0;
+
+  const tx = Math.atan2(X, D - Z);
+  const ty = Math.asin(Y / d);
+
+  const arcsecPerPixel = rsunArcsec / sunParams.radius;
+  const u = tx / ARCSEC_TO_RADIANS / arcsecPerPixel;
+  const v = ty / ARCSEC_TO_RADIANS / arcsecPerPixel;
+
+  // Rotate back from solar north up to the image orientation
+  const Prad = degreesToRadians(P);
+  const dx = Math.cos(Prad) * u - Math.sin(Prad) * v;
+  const dy = Math.sin(Prad) * u + Math.cos(Prad) * v;
+
+  return { x: sunParams.cx + dx, y: sunParams.cy - dy, visible, mu };
+};
+
 /**
  * Calculates heliographic longitude and latitude from pixel coordinates.
- * Implements improved astronomical calculation similar to the HTML example.
+ * B0, L0, P, the apparent solar radius and the Sun distance come from the
+ * observation time unless the caller supplies them (e.g. from CRLT_OBS /
+ * CRLN_OBS / SOLAR_P / RSUN_OBS / DSUN_OBS in the FITS header).
  *
  * @param {number} x - X coordinate of click
  * @param {number} y - Y coordinate of click
  * @param {number} centerX - X coordinate of solar disk center
  * @param {number} centerY - Y coordinate of solar disk center
  * @param {number} radius - Radius of the solar disk in pixels
- * @param {Date} obsTime - Observation time (used for B0 and L0 calculation)
- * @returns {{longitude: number, latitude: number}}
+ * @param {Date} obsTime - Observation time (used for the observer geometry)
+ * @param {Object} [observerOverrides] - Known observer values taking precedence
+ * @returns {{stonyhurstLongitude: number, carringtonLongitude: number, latitude: number}}
+ *   Stonyhurst longitude (observer-relative, -180 to +180), Carrington
+ *   longitude (0 to 360) and latitude, in degrees
  */
-export const calculateHeliographicCoordinates = (x, y, centerX, centerY, radius, obsTime) => {
-  // Default B0 and L0 values if not available from FITS headers
-  // In a real application, these would be calculated from the observation time
-  // For now, using fixed values that would be close for most solar observations
-  const B0 = -4.09658890740741; // Heliographic latitude of the center of the solar disk
-  const L0 = 287.033322432504; // Heliographic longitude of the center of the solar disk
-  const P_ANGLE = 0.0; // Position angle of the solar north pole
+export const calculateHeliographicCoordinates = (x, y, centerX, centerY, radius, obsTime, observerOverrides = {}) => {
+  const observer = resolveObserver(obsTime, observerOverrides);
+  const result = pixelToHeliographic(x, y, { cx: centerX, cy: centerY, radius }, observer);
   
-  // Translate to solar disc coordinate system (origin at solar center)
-  const dx = x - centerX;
-  const dy = centerY - y; // Y is inverted in canvas/images compared to standard coordinate systems
-  
-  // Convert to normalized solar radius units
-  const rho = Math.sqrt(dx*dx + dy*dy) / radius;
-  
-  // If point is outside of solar disc, limit to the edge
-  if (rho > 1) {
+  if (!result.onDisk) {
     console.warn("Point outside solar disk, coordinates may be approximate");
   }
   
-  // Calculate position angle from solar north
-  let theta = Math.atan2(dx, dy) * 180 / Math.PI;
-  
-  // Adjust for P angle (position angle of solar north pole)
-  theta -= P_ANGLE;
-  
-  // Convert to heliographic coordinates
-  // Get B0 in radians (heliographic latitude of disc center)
-  const B0rad = degreesToRadians(B0);
-  
-  // Calculate heliographic latitude (B)
-  const rhoRad = degreesToRadians(rho * 90); // Convert rho to radians (rho * 90 degrees)
-  const thetaRad = degreesToRadians(theta);
-  
-  const sinB = Math.cos(rhoRad) * Math.sin(B0rad) + 
-                Math.sin(rhoRad) * Math.cos(B0rad) * Math.cos(thetaRad);
-  const B = radiansToDegrees(Math.asin(sinB));
-  
-  // Calculate heliographic longitude (L)
-  const y_term = Math.sin(rhoRad) * Math.sin(thetaRad);
-  const x_term = Math.sin(rhoRad) * Math.cos(thetaRad) * Math.sin(B0rad) - 
-                Math.cos(rhoRad) * Math.cos(B0rad);
-  let L = radiansToDegrees(Math.atan2(y_term, x_term)) + L0;
-  
-  // Normalize longitude to range [0, 360)
-  while (L < 0) L += 360;
-  while (L >= 360) L -= 360;
-  
-  // Convert longitude to the -180 to +180 range if preferred
-  if (L > 180) L -= 360;
-  
-  return { longitude: L, latitude: B };
+  return {
+    stonyhurstLongitude: normalizeLongitude(result.longitude),
+    carringtonLongitude: result.carringtonLongitude,
+    latitude: result.latitude
+  };
+};
+
+/**
+ * Inverse of calculateHeliographicCoordinates: pixel position of a
+ * heliographic longitude and latitude.
+ *
+ * @param {number} longitude - Longitude in degrees, in `coordinateSystem`
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} centerX - X coordinate of solar disk center
+ * @param {number} centerY - Y coordinate of solar disk center
+ * @param {number} radius - Radius of the solar disk in pixels
+ * @param {Date} obsTime - Observation time
+ * @param {Object} [observerOverrides] - Known observer values taking precedence
+ * @param {string} [coordinateSystem] - 'carrington' or 'stonyhurst'
+ * @returns {{x: number, y: number, visible: boolean}}
+ */
+export const calculatePixelCoordinates = (longitude, latitude, centerX, centerY, radius, obsTime, observerOverrides = {}, coordinateSystem = 'carrington') => {
+  const observer = resolveObserver(obsTime, observerOverrides);
+  const stonyhurstLongitude = coordinateSystem === 'carrington'
+    ? normalizeLongitude(longitude - observer.L0)
+    : longitude;
+  const { x, y, visible } = heliographicToPixel(
+    stonyhurstLongitude,
+    latitude,
+    { cx: centerX, cy: centerY, radius },
+    observer
+  );
+  return { x, y, visible };
 };
 
-// Other functions remain the same
-export const determineImageCenterAndRadius = (image, assumeCentered, contourThreshold) => {
+/**
+ * Longitude of a measurement (or coordinate result) in the given system.
+ *
+ * @param {{stonyhurstLongitude: number, carringtonLongitude: number}} coords
+ * @param {string} coordinateSystem - 'carrington' or 'stonyhurst'
+ * @returns {number}
+ */
+export const getLongitude = (coords, coordinateSystem) => {
+  return coordinateSystem === 'carrington' ? coords.carringtonLongitude : coords.stonyhurstLongitude;
+};
+
+/**
+ * Determines the solar disk center and radius for an image. With
+ * `assumeCentered` the disk is taken to be centered with a radius of 45% of
+ * the smaller side; otherwise the limb is detected by thresholding and a
+ * least-squares circle fit (falling back to the centered guess if that fails).
+ *
+ * @param {HTMLImageElement} image - Loaded image
+ * @param {boolean} assumeCentered - Skip detection
+ * @param {number} contourThreshold - Limb threshold in percent between background and disk
+ * @param {{pixels: Float32Array, width: number, height: number, scale?: number}} [pixelData] - Raw pixels
+ *   (e.g. FITS values) to detect on instead of the rendered image; `scale` when they are a
+ *   downsampled copy of the image (pixelData size = image size × scale)
+ * @returns {{cx: number, cy: number, radius: number, quality: {rms: number, inliers: number, total: number}|null}}
+ *   quality.rms is the RMS residual of the limb points in pixels
+ */
+export const determineImageCenterAndRadius = (image, assumeCentered, contourThreshold, pixelData = null) => {
   const width = image.width;
   const height = image.height;
-  const cx = width / 2;
-  const cy = height / 2;
-  const radius = Math.min(width, height) * 0.45;
+  const centered = {
+    cx: width / 2,
+    cy: height / 2,
+    radius: Math.min(width, height) * 0.45,
+    quality: null
+  };
 
-  if (!assumeCentered) {
-    console.log('Image processing would use contour threshold:', contourThreshold);
+  if (assumeCentered) {
+    return centered;
   }
 
-  return { cx, cy, radius };
+  try {
+    // Detect on a downsampled copy; sub-pixel edges keep the fit precise
+    const sampled = pixelData
+      ? downsamplePixels(pixelData, LIMB_DETECTION_SIZE)
+      : getImagePixels(image, LIMB_DETECTION_SIZE);
+    const fit = detectLimb(sampled.pixels, sampled.width, sampled.height, contourThreshold);
+
+    if (!fit) {
+      console.warn('Limb detection failed, assuming centered disk');
+      return centered;
+    }
+
+    const scale = sampled.scale * (pixelData && pixelData.scale ? pixelData.scale : 1);
+    console.log('Limb detected:', fit, 'threshold:', contourThreshold);
+    return {
+      cx: (fit.cx + 0.5) / scale - 0.5,
+      cy: (fit.cy + 0.5) / scale - 0.5,
+      radius: fit.radius / scale,
+      quality: {
+        rms: fit.rms / scale,
+        inliers: fit.inliers,
+        total: fit.total
+      }
+    };
+  } catch (error) {
+    console.error('Error detecting solar limb:', error);
+    return centered;
+  }
+};
+
+// Neutral per-image calibration: offsets in original image pixels, radius as a factor
+export const DEFAULT_CALIBRATION = { radiusCorrection: 1.0, xOffset: 0, yOffset: 0 };
+
+/**
+ * Applies an image's manual calibration to its detected or header disk geometry.
+ *
+ * @param {{cx: number, cy: number, radius: number}} sunParams - Disk geometry in original pixels
+ * @param {{radiusCorrection: number, xOffset: number, yOffset: number}} [calibration] - Per-image adjustment
+ * @returns {{cx: number, cy: number, radius: number}} Calibrated geometry in original pixels
+ */
+export const applyCalibration = (sunParams, calibration) => {
+  const { radiusCorrection, xOffset, yOffset } = { ...DEFAULT_CALIBRATION, ...calibration };
+  return {
+    cx: sunParams.cx + xOffset,
+    cy: sunParams.cy + yOffset,
+    radius: sunParams.radius * radiusCorrection
+  };
 };
 
 export const isPointOnSun = (x, y, centerX, centerY, radius, radiusCorrection = 1.0, xOffset = 0, yOffset = 0) => {
@@ -103,82 +305,76 @@ export const isPointOnSun = (x, y, centerX, centerY, radius, radiusCorrection =
   return distance <= adjR * 1.05;
 };
 
-export const extractZoomRegion = (image, centerX, centerY, zoomSize = 60, zoomFactor = 4) => {
-  try {
-    const canvas = document.createElement('canvas');
-    const half = Math.floor(zoomSize / 2);
-    const left = Math.max(0, Math.floor(centerX - half));
-    const top = Math.max(0, Math.floor(centerY - half));
-    const right = Math.min(image.width, Math.floor(centerX + half));
-    const bottom = Math.min(image.height, Math.floor(centerY + half));
-
-    const w = right - left;
-    const h = bottom - top;
-    canvas.width = w * zoomFactor;
-    canvas.height = h * zoomFactor;
-
-    const ctx = canvas.getContext('2d');
-    ctx.imageSmoothingEnabled = false;
-    ctx.drawImage(image, left, top, w, h, 0, 0, canvas.width, canvas.height);
-
-    // Draw crosshair
-    const cxCanvas = canvas.width / 2;
-    const cyCanvas = canvas.height / 2;
-    ctx.strokeStyle = 'rgba(255,0,255,0.8)';
-    ctx.lineWidth = 2;
-    // horizontal
-    ctx.beginPath(); ctx.moveTo(0, cyCanvas); ctx.lineTo(canvas.width, cyCanvas); ctx.stroke();
-    // vertical
-    ctx.beginPath(); ctx.moveTo(cxCanvas, 0); ctx.lineTo(cxCanvas, canvas.height); ctx.stroke();
-
-    return canvas.toDataURL();
-  } catch (err) {
-    console.error('Error creating zoomed region:', err);
-    return image.src;
-  }
-};
-
 export const addCrosshair = (imageElement) => {
   return imageElement.src;
 };
 
+/**
+ * Reads a FITS file in the browser: parses the header and the image HDU,
+ * renders it to an <img> for display and keeps the physical pixel values
+ * (top-down row order) for measurement.
+ *
+ * @param {File} file - FITS file
+ * @returns {Promise<{image: HTMLImageElement, obsTime: Date, sunParams: Object|null, header: Object, pixelData: {pixels: Float32Array, width: number, height: number}}>}
+ */
 export const readFitsFile = async (file) => {
   console.log('Reading FITS file:', file.name);
-  const url = URL.createObjectURL(file);
-  try {
-    const img = await new Promise((res, rej) => {
-      const image = new Image();
-      image.onload = () => res(image);
-      image.onerror = rej;
-      image.src = url;
-    });
-    const sunParams = { cx: img.width/2, cy: img.height/2, radius: Math.min(img.width, img.height)*0.45 };
-    return { image: img, obsTime: new Date(), sunParams };
-  } catch {
-    // placeholder canvas
-    const canvas = document.createElement('canvas');
-    canvas.width = canvas.height = 800;
-    const ctx = canvas.getContext('2d');
-    ctx.fillStyle = '#f0f0f0'; ctx.fillRect(0,0,800,800);
-    ctx.fillStyle = '#666'; ctx.font = '20px Arial'; ctx.textAlign = 'center';
-    ctx.fillText(`FITS: ${file.name}`, 400, 380);
-    ctx.fillText('(no preview)', 400, 420);
-    const img = await new Promise(r => { const i = new Image(); i.onload = () => r(i); i.src = canvas.toDataURL(); });
-    const sunParams = { cx:400, cy:400, radius:350 };
-    return { image: img, obsTime: new Date(), sunParams };
+  const buffer = await file.arrayBuffer();
+  const fits = parseFits(buffer);
+  const { width, height, header } = fits;
+  console.log('FITS image:', width, 'x', height, 'BITPIX', fits.bitpix);
+
+  const pixels = flipFitsRows(fits.pixels, width, height);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.putImageData(new ImageData(renderFitsToRGBA(pixels, width, height), width, height), 0, 0);
+
+  const img = await new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = reject;
+    image.src = canvas.toDataURL();
+  });
+
+  // Disk geometry and time from the WCS / observation keywords; sunParams is
+  // null when the header does not describe the disk
+  const sunParams = getSunParamsFromHeader(header, width, height);
+  let obsTime = getObservationTimeFromHeader(header);
+  if (!obsTime) {
+    console.warn('No DATE-OBS/T_OBS in FITS header, using current time');
+    obsTime = new Date();
   }
+  console.log('FITS header sun parameters:', sunParams, 'observation time:', obsTime);
+
+  return {
+    image: img,
+    obsTime,
+    sunParams,
+    header,
+    pixelData: { pixels, width, height }
+  };
 };
 
+/**
+ * Loads an image file (or any image blob) into an <img>. The element reads
+ * from an object URL, which the browser decodes without a data-URL copy; the
+ * URL stays valid for as long as the page shows the image.
+ *
+ * @param {Blob} file - Image file
+ * @returns {Promise<HTMLImageElement>}
+ */
 export const readImageFile = async (file) => {
   return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      const img = new Image();
-      img.onload = () => resolve(img);
-      img.onerror = reject;
-      img.src = e.target.result;
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = (error) => {
+      URL.revokeObjectURL(url);
+      reject(error);
     };
-    reader.onerror = reject;
-    reader.readAsDataURL(file);
+    img.src = url;
   });
 };
@@ -0,0 +1,130 @@
+// src/utils/synopticMap.js
+// Reprojection of disk images onto an equirectangular Carrington map
+
+import { heliographicToPixel } from './solarCalculations';
+
+const cancelledError = () => Object.assign(new Error('Cancelled'), { cancelled: true });
+
+const normalizeLongitude = (longitude) => {
+  let L = longitude % 360;
+  if (L > 180) L -= 360;
+  if (L <= -180) L += 360;
+  return L;
+};
+
+// Bilinear sample of a grayscale image; NaN outside
+const sample = ({ pixels, width, height }, x, y) => {
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  if (x0 < 0 || y0 < 0 || x0 + 1 >= width || y0 + 1 >= height) return NaN;
+  const fx = x - x0;
+  const fy = y - y0;
+  const i = y0 * width + x0;
+  const top = pixels[i] * (1 - fx) + pixels[i + 1] * fx;
+  const bottom = pixels[i + width] * (1 - fx) + pixels[i + width + 1] * fx;
+  return top * (1 - fy) + bottom * fy;
+};
+
+/**
+ * Map pixel of a Carrington position and the inverse, for a map covering
+ * longitudes 0-360 (left to right) and latitudes +90 to -90 (top to bottom).
+ *
+ * @param {number} resolution - Degrees per map pixel
+ * @returns {{width: number, height: number, toMap: Function, fromMap: Function}}
+ */
+export const synopticMapGeometry = (resolution) => {
+  const width = Math.round(360 / resolution);
+  const height = Math.round(180 / resolution);
+  return {
+    width,
+    height,
+    toMap: (carringtonLongitude, latitude) => ({
+      x: (((carringtonLongitude % 360) + 360) % 360) / resolution,
+      y: (90 - latitude) / resolution
+    }),
+    fromMap: (x, y) => ({
+      carringtonLongitude: Math.min(360, Math.max(0, x * resolution)),
+      latitude: Math.min(90, Math.max(-90, 90 - y * resolution))
+    })
+  };
+};
+
+/**
+ * Builds a Carrington map from one or more disk images with the inverse
+ * projection: every map pixel is projected onto each frame where it is on the
+ * visible disk with mu >= minMu, and the samples are averaged with weight mu,
+ * so that the centers of the disks dominate over the foreshortened limbs.
+ *
+ * @param {Object} params
+ * @param {Array<{pixels: Object, sunParams: Object, observer: Object}>} params.frames
+ *   Grayscale pixels ({pixels, width, height}), disk geometry in those pixels and resolved observer
+ * @param {number} [params.resolution=0.5] - Degrees per map pixel
+ * @param {number} [params.minMu=0.1] - Smallest mu used
+ * @param {(fraction: number) => void} [params.onProgress] - Called with the completed fraction
+ * @param {AbortSignal} [params.signal] - Aborts the build (rejects with an error whose `cancelled` flag is set)
+ * @returns {Promise<{width: number, height: number, resolution: number, values: Float32Array, weights: Float32Array}>}
+ *   values is NaN where no frame covers the map
+ */
+export const buildSynopticMap = async ({ frames, resolution = 0.5, minMu = 0.1, onProgress = () => {}, signal }) => {
+  const { width, height, fromMap } = synopticMapGeometry(resolution);
+  const values = new Float32Array(width * height).fill(NaN);
+  const weights = new Float32Array(width * height);
+  const rowsPerChunk = Math.max(1, Math.floor(20000 / width));
+
+  for (let row = 0; row < height; row++) {
+    const { latitude } = fromMap(0, row + 0.5);
+    for (let column = 0; column < width; column++) {
+      const { carringtonLongitude } = fromMap(column + 0.5, 0);
+      let sum = 0;
+      let weight = 0;
+
+      for (const frame of frames) {
+        const longitude = normalizeLongitude(carringtonLongitude - frame.observer.L0);
+        // Far side of the Sun from this observer
+        if (Math.abs(longitude) > 95) continue;
+        const p = heliographicToPixel(longitude, latitude, frame.sunParams, frame.observer);
+        if (!p.visible || p.mu < minMu) continue;
+        const value = sample(frame.pixels, p.x, p.y);
+        if (!Number.isFinite(value)) continue;
+        sum += value * p.mu;
+        weight += p.mu;
+      }
+
+      if (weight > 0) {
+        values[row * width + column] = sum / weight;
+        weights[row * width + column] = weight;
+      }
+    }
+
+    if ((row + 1) % rowsPerChunk === 0) {
+      if (signal && signal.aborted) throw cancelledError();
+      onProgress((row + 1) / height);
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+  onProgress(1);
+
+  return { width, height, resolution, values, weights };
+};
+
+/**
+ * The frame that sees a Carrington position closest to disk center, for
+ * measuring a point picked on the map.
+ *
+ * @param {Array<{name: string, sunParams: Object, observer: Object}>} frames - Candidate frames (original pixels)
+ * @param {number} carringtonLongitude - Degrees
+ * @param {number} latitude - Degrees
+ * @returns {{name: string, pixel: {x: number, y: number}, stonyhurstLongitude: number, mu: number}|null}
+ *   null when no frame sees the position
+ */
+export const bestFrameForPosition = (frames, carringtonLongitude, latitude) => {
+  let best = null;
+  for (const frame of frames) {
+    const stonyhurstLongitude = normalizeLongitude(carringtonLongitude - frame.observer.L0);
+    const p = heliographicToPixel(stonyhurstLongitude, latitude, frame.sunParams, frame.observer);
+    if (p.visible && (!best || p.mu > best.mu)) {
+      best = { name: frame.name, pixel: { x: p.x, y: p.y }, stonyhurstLongitude, mu: p.mu };
+    }
+  }
+  return best;
+};
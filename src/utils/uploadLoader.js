@@ -0,0 +1,51 @@
+// src/utils/uploadLoader.js
+// Runs upload tasks on the image loader worker pool, or on the main thread
+// one at a time where workers or OffscreenCanvas are unavailable
+
+import { createWorkerPool } from './workerPool';
+import { loadUploadTask, redetectSunParams } from './imageLoading';
+
+const cancelledError = () => Object.assign(new Error('Cancelled'), { cancelled: true });
+
+/**
+ * Creates a loader for upload tasks (see imageLoading.groupUploadFiles).
+ *
+ * @returns {{load: (task: Object, options: Object) => Promise<Object>, detect: (input: Object, options: Object) => Promise<Object>,
+ *   cancel: () => void, terminate: () => void}}
+ *   load resolves with the result of loadUploadTask and detect with that of
+ *   redetectSunParams; cancel rejects pending jobs with an error whose `cancelled` flag is set
+ */
+export const createUploadLoader = () => {
+  if (typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined') {
+    const pool = createWorkerPool(
+      () => new Worker(new URL('../workers/imageLoader.worker.js', import.meta.url))
+    );
+    return {
+      load: (task, options) => pool.run({ task, options }),
+      detect: (input, options) => pool.run({ kind: 'detect', input, options }),
+      cancel: pool.cancel,
+      terminate: pool.terminate
+    };
+  }
+
+  console.warn('Web workers unavailable, loading images on the main thread');
+  let queue = Promise.resolve();
+  let generation = 0;
+
+  const enqueue = (job) => {
+    const started = generation;
+    const result = queue.then(() => {
+      if (started !== generation) throw cancelledError();
+      return job();
+    });
+    queue = result.catch(() => {});
+    return result;
+  };
+  const load = (task, options) => enqueue(() => loadUploadTask(task, options));
+  const detect = (input, options) => enqueue(() => redetectSunParams(input, options));
+  const cancel = () => {
+    generation += 1;
+  };
+
+  return { load, detect, cancel, terminate: cancel };
+};
@@ -0,0 +1,86 @@
+// src/utils/workerPool.js
+// Fixed-size pool of web workers that process queued tasks
+
+const defaultPoolSize = () => {
+  const threads = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+  return Math.min(4, Math.max(1, threads - 1));
+};
+
+const cancelledError = () => Object.assign(new Error('Cancelled'), { cancelled: true });
+
+/**
+ * Creates a pool of workers. Each task is posted as `{id, payload}`; the
+ * worker answers with `{id, result}` or `{id, error}` (a message string).
+ * Workers are started on demand, up to `size` at a time.
+ *
+ * @param {() => Worker} createWorker - Worker factory
+ * @param {number} [size] - Maximum number of workers (default: hardware threads - 1, between 1 and 4)
+ * @returns {{run: (payload: Object, transfer?: Transferable[]) => Promise<Object>, cancel: () => void, terminate: () => void}}
+ *   cancel rejects queued and running tasks with an error whose `cancelled`
+ *   flag is set (running workers are stopped); terminate also stops idle workers
+ */
+export const createWorkerPool = (createWorker, size = defaultPoolSize()) => {
+  const queue = [];
+  const idle = [];
+  const busy = new Map();
+  let workerCount = 0;
+  let nextId = 0;
+
+  const finish = (worker, { id, result, error }) => {
+    const job = busy.get(worker);
+    if (!job || (id !== undefined && id !== job.id)) return;
+    busy.delete(worker);
+    idle.push(worker);
+    if (error !== undefined) {
+      job.reject(new Error(error));
+    } else {
+      job.resolve(result);
+    }
+    dispatch();
+  };
+
+  const spawn = () => {
+    const worker = createWorker();
+    worker.onmessage = (event) => finish(worker, event.data);
+    worker.onerror = (event) => {
+      event.preventDefault();
+      finish(worker, { error: event.message || 'Worker failed' });
+    };
+    workerCount += 1;
+    return worker;
+  };
+
+  const dispatch = () => {
+    while (queue.length > 0) {
+      const worker = idle.pop() || (workerCount < size ? spawn() : null);
+      if (!worker) return;
+      const job = queue.shift();
+      busy.set(worker, job);
+      worker.postMessage({ id: job.id, payload: job.payload }, job.transfer);
+    }
+  };
+
+  const cancel = () => {
+    queue.splice(0).forEach(job => job.reject(cancelledError()));
+    for (const [worker, job] of busy) {
+      worker.terminate();
+      workerCount -= 1;
+      job.reject(cancelledError());
+    }
+    busy.clear();
+  };
+
+  return {
+    run: (payload, transfer = []) => new Promise((resolve, reject) => {
+      nextId += 1;
+      queue.push({ id: nextId, payload, transfer, resolve, reject });
+      dispatch();
+    }),
+    cancel,
+    terminate: () => {
+      cancel();
+      idle.splice(0).forEach(worker => worker.terminate());
+      workerCount = 0;
+    }
+  };
+};
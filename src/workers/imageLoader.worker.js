@@ -0,0 +1,21 @@
+// src/workers/imageLoader.worker.js
+// Loads uploaded images and re-runs limb detection off the main thread (message protocol in utils/workerPool)
+
+import { loadUploadTask, redetectSunParams } from '../utils/imageLoading';
+
+self.onmessage = async ({ data }) => {
+  const { id, payload } = data;
+  try {
+    if (payload.kind === 'detect') {
+      self.postMessage({ id, result: redetectSunParams(payload.input, payload.options) });
+      return;
+    }
+    const result = await loadUploadTask(payload.task, payload.options);
+    const transfer = [result.thumbnail];
+    if (result.pixelData) transfer.push(result.pixelData.pixels.buffer);
+    self.postMessage({ id, result }, transfer);
+  } catch (error) {
+    console.error(`Error in image loader (${payload.kind === 'detect' ? 'limb detection' : payload.task.name}):`, error);
+    self.postMessage({ id, error: error.message || String(error) });
+  }
+};